@@ -1,375 +1,3956 @@
-// Railway Export Service - All uploads to Supabase
+// Railway Export Service - Uploads to Supabase, S3-compatible or local storage
+const fs = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const archiver = require('archiver');
-const { PDFDocument } = require('pdf-lib');
+const PDFDocument = require('pdfkit');
 const sharp = require('sharp');
 const { createClient } = require('@supabase/supabase-js');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser (default: any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : {}));
 app.use(express.json({ limit: '10mb' }));
 
+// ============================================
+// METRICS (Prometheus text format, served on GET /metrics)
+// ============================================
+// Counters and histograms live in memory and start from zero on every restart.
+
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+const SIZE_BUCKETS = [0.1, 1, 5, 10, 25, 50, 100, 250, 500, 1000].map(mb => mb * 1024 * 1024);
+
+/**
+ * Label set as written after a metric name: {name="value",...} (empty without labels)
+ */
+const formatMetricLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+};
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // formatted labels → value
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = formatMetricLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${key} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map(); // formatted labels → { labels, counts (cumulative per bucket), sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatMetricLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatMetricLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatMetricLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatMetricLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Metric read at scrape time from [labels, value] samples (a gauge, or a counter kept elsewhere)
+ */
+const renderSamples = (name, help, samples, type = 'gauge') => {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+};
+
+// Labels come from job fields: route, format, state (as outcome), phase and priority
+const metrics = {
+  jobs: new Counter('export_jobs_total', 'Finished or requeued export jobs by route, format (multi for several targets) and outcome'),
+  phaseDuration: new Histogram('export_phase_duration_seconds', 'Total time a job spent in each phase (downloading, processing, compositing, saving, uploading)', DURATION_BUCKETS),
+  queueWait: new Histogram('export_queue_wait_seconds', 'Time from queueing to the start of a job', DURATION_BUCKETS),
+  sourceDownload: new Histogram('export_source_download_seconds', 'Time to fetch one source image, retries included', DURATION_BUCKETS),
+  downloadedBytes: new Counter('export_downloaded_bytes_total', 'Bytes of source images downloaded'),
+  uploadedBytes: new Counter('export_uploaded_bytes_total', 'Bytes uploaded to storage (artifacts and manifests) by driver'),
+  outputSize: new Histogram('export_output_size_bytes', 'Size of rendered artifacts by route and format', SIZE_BUCKETS),
+  webhookFailures: new Counter('export_webhook_failures_total', 'Failed webhook delivery attempts by target, and whether the delivery gave up')
+};
+
+// Export id → { phase, started, totals } of a running job: the phase it is in, and the seconds
+// spent in each phase so far (a job can enter a phase several times, e.g. compositing per page)
+const jobPhaseTimers = new Map();
+
+/**
+ * Close the phase a job was in and start `phase`.
+ * With null the job is done: the time spent in each phase is observed once.
+ */
+const trackJobPhase = (job, phase) => {
+  const timer = jobPhaseTimers.get(job.id) || { phase: null, started: Date.now(), totals: {} };
+  if (timer.phase) {
+    timer.totals[timer.phase] = (timer.totals[timer.phase] || 0) + (Date.now() - timer.started) / 1000;
+  }
+
+  if (phase) {
+    jobPhaseTimers.set(job.id, { phase, started: Date.now(), totals: timer.totals });
+    return;
+  }
+  for (const [name, seconds] of Object.entries(timer.totals)) {
+    metrics.phaseDuration.observe({ route: job.route, phase: name }, seconds);
+  }
+  jobPhaseTimers.delete(job.id);
+};
+
+/**
+ * Record a job state change: queue wait when it starts, outcome and output sizes when it
+ * finishes or is requeued on shutdown
+ */
+const recordJobTransition = (job) => {
+  if (job.state === 'running' && job.started_at) {
+    const wait = (Date.parse(job.started_at) - Date.parse(job.created_at)) / 1000;
+    metrics.queueWait.observe({ route: job.route, priority: job.priority || 'normal' }, Math.max(0, wait));
+    return;
+  }
+  if (!FINISHED_JOB_STATES.includes(job.state) && job.state !== 'requeued') return;
+
+  trackJobPhase(job, null);
+  // Multi-target jobs store every target format; one label value keeps the series bounded
+  metrics.jobs.inc({ route: job.route, format: job.target_count ? 'multi' : job.format, outcome: job.state });
+
+  // Reused artifacts were measured when they were rendered
+  const { output } = job;
+  if (job.state === 'completed' && output && !output.reused_from) {
+    for (const target of output.outputs || [output]) {
+      if (target.size) {
+        metrics.outputSize.observe({ route: job.route, format: target.format || job.format }, target.size);
+      }
+    }
+  }
+};
+
 // ============================================
 // QUEUE SYSTEM
 // ============================================
-class ExportQueue {
+// Priority levels of queued jobs, highest first
+const QUEUE_PRIORITIES = ['high', 'normal', 'low'];
+
+// Emits 'change' whenever the waiting list changes (so queue positions can be pushed to clients)
+// Waiting jobs start by priority, then round-robin across fair-share keys (tenants or comics).
+// Each running job takes `cost` of the maxConcurrent slots.
+class ExportQueue extends EventEmitter {
   constructor(maxConcurrent = 2) {
+    super();
     this.queue = [];
-    this.running = 0;
+    this.active = new Set();
     this.maxConcurrent = maxConcurrent;
+    this.paused = false;
+    this.lastServed = new Map(); // fair-share key -> start counter
+    this.started = 0;
+  }
+
+  get running() {
+    return this.active.size;
+  }
+
+  get slotsInUse() {
+    let slots = 0;
+    for (const entry of this.active) slots += entry.cost;
+    return slots;
   }
 
-  async add(job) {
+  /**
+   * Options: priority (one of QUEUE_PRIORITIES), key (fair-share group) and
+   * cost (slots taken while running, capped at maxConcurrent so large jobs run alone)
+   */
+  async add(job, id = null, { priority = 'normal', key = null, cost = 1 } = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ job, resolve, reject });
+      cost = Math.min(Math.max(cost, 1), this.maxConcurrent);
+      this.queue.push({ id, job, resolve, reject, priority, key, cost });
+      this.emit('change');
       this.process();
     });
   }
 
-  async process() {
-    if (this.running >= this.maxConcurrent || this.queue.length === 0) {
-      return;
+  /**
+   * Drop a job that has not started yet (resolves its add() promise with undefined).
+   * Returns false if no job with this id is waiting.
+   */
+  remove(id) {
+    const index = this.queue.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    const [entry] = this.queue.splice(index, 1);
+    entry.resolve(undefined);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Stop starting new jobs and remove every waiting one (used on shutdown).
+   * Returns the ids of the removed jobs.
+   */
+  pauseAndDrain() {
+    this.paused = true;
+    const entries = this.queue.splice(0);
+    for (const entry of entries) {
+      entry.resolve(undefined);
+    }
+    return entries.map(entry => entry.id);
+  }
+
+  /**
+   * Waiting jobs in the order they will start: by priority, then one job per
+   * fair-share key in turn (least recently served key first), oldest first within a key
+   */
+  getOrder() {
+    const order = [];
+    for (const priority of QUEUE_PRIORITIES) {
+      const lanes = new Map();
+      for (const entry of this.queue) {
+        if (entry.priority !== priority) continue;
+        if (!lanes.has(entry.key)) lanes.set(entry.key, []);
+        lanes.get(entry.key).push(entry);
+      }
+
+      // Stable sort: keys never served keep their arrival order
+      const turns = [...lanes.entries()]
+        .sort(([a], [b]) => (this.lastServed.get(a) || 0) - (this.lastServed.get(b) || 0))
+        .map(([, entries]) => entries);
+      for (let round = 0; turns.some(entries => entries.length > round); round++) {
+        for (const entries of turns) {
+          if (round < entries.length) order.push(entries[round]);
+        }
+      }
+    }
+    return order;
+  }
+
+  /**
+   * 1-based position of a waiting job, or null if it is not waiting
+   */
+  getPosition(id) {
+    const index = this.getOrder().findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  process() {
+    while (!this.paused && this.queue.length > 0) {
+      // The next job waits for enough free slots instead of letting smaller ones
+      // overtake it, so large jobs are not starved and positions stay accurate
+      const [next] = this.getOrder();
+      if (this.slotsInUse + next.cost > this.maxConcurrent) return;
+      this.start(next);
     }
+  }
 
-    this.running++;
-    const { job, resolve, reject } = this.queue.shift();
+  async start(entry) {
+    this.queue.splice(this.queue.indexOf(entry), 1);
+    this.active.add(entry);
+    this.lastServed.set(entry.key, ++this.started);
+    this.emit('change');
 
     try {
-      const result = await job();
-      resolve(result);
+      const result = await entry.job();
+      entry.resolve(result);
     } catch (error) {
-      reject(error);
+      entry.reject(error);
     } finally {
-      this.running--;
+      this.active.delete(entry);
       this.process();
     }
   }
 
-  getStatus() {
-    return {
-      queued: this.queue.length,
-      running: this.running,
-      maxConcurrent: this.maxConcurrent
-    };
+  getStatus() {
+    const byPriority = {};
+    for (const priority of QUEUE_PRIORITIES) {
+      byPriority[priority] = {
+        queued: this.queue.filter(entry => entry.priority === priority).length,
+        running: [...this.active].filter(entry => entry.priority === priority).length
+      };
+    }
+
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      slotsInUse: this.slotsInUse,
+      maxConcurrent: this.maxConcurrent,
+      byPriority
+    };
+  }
+}
+
+const exportQueue = new ExportQueue(parseInt(process.env.MAX_CONCURRENT_EXPORTS, 10) || 2);
+
+// QUEUE_FAIR_SHARE: take turns across 'tenant' (default, comics when auth is off) or 'comic'
+const QUEUE_FAIR_SHARE = process.env.QUEUE_FAIR_SHARE === 'comic' ? 'comic' : 'tenant';
+// EXPORT_SLOT_PAGES: weighted pages that take up one concurrency slot (default 100)
+const EXPORT_SLOT_PAGES = parseInt(process.env.EXPORT_SLOT_PAGES, 10) || 100;
+
+// Relative render cost of one page in each compression mode
+const COMPRESSION_COST = { fullhd: 4, high: 2, medium: 1, low: 1 };
+
+/**
+ * Group a job takes turns with on the queue
+ */
+const getFairShareKey = (job) => {
+  if (QUEUE_FAIR_SHARE === 'tenant' && job.tenant) return `tenant:${job.tenant}`;
+  return `comic:${job.comic_name}`;
+};
+
+/**
+ * Concurrency slots a job takes: its pages weighted by compression mode, per EXPORT_SLOT_PAGES
+ */
+const getJobCost = (job) => {
+  const { payload } = job;
+  let weightedPages;
+  if (job.route === 'longstrip') {
+    weightedPages = payload.panels.length * (COMPRESSION_COST[payload.compression_mode] || 1);
+  } else {
+    const pageCount = getExportContent(payload).items.length;
+    weightedPages = getExportTargets(payload)
+      .reduce((sum, target) => sum + pageCount * (COMPRESSION_COST[target.compression] || 1), 0);
+  }
+  return Math.max(1, Math.ceil(weightedPages / EXPORT_SLOT_PAGES));
+};
+
+// ============================================
+// JOB STORE (persisted to a local JSON file)
+// ============================================
+const FINISHED_JOB_STATES = ['completed', 'failed', 'cancelled'];
+// Jobs in these states were not finished when the process stopped and are re-enqueued on startup
+const RESUMABLE_JOB_STATES = ['queued', 'running', 'requeued'];
+
+class ExportCancelledError extends Error {
+  constructor(exportId) {
+    super(`Export ${exportId} was cancelled`);
+    this.name = 'ExportCancelledError';
+  }
+}
+
+/**
+ * Map of records persisted as one JSON file ({ [collection]: [...] }), keyed by record.id.
+ * Subclasses override prune() to cap what is kept.
+ */
+class JsonFileStore {
+  constructor(filePath, name, collection) {
+    this.filePath = filePath;
+    this.name = name;
+    this.collection = collection;
+    this.records = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const record of data[this.collection] || []) {
+        this.records.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to load ${this.name} ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.prune();
+
+    try {
+      // Write to a temp file and rename so a crash never leaves half a JSON file
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ [this.collection]: [...this.records.values()] }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`❌ Failed to save ${this.name} ${this.filePath}:`, error.message);
+    }
+  }
+
+  // Frequent small updates (e.g. page progress) are batched into one write per second
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), 1000);
+    this.saveTimer.unref();
+  }
+
+  prune() {}
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+}
+
+// Live job events, emitted under the job id: { type, export_id, ...data }
+// type is a job state (queued, running, completed, ...), 'progress' or 'phase'
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const emitJobEvent = (exportId, type, data = {}) => {
+  jobEvents.emit(exportId, { type, export_id: exportId, ...data, at: new Date().toISOString() });
+};
+
+/**
+ * Job output as shown to clients (the render fingerprint stays internal)
+ */
+const formatOutput = (output) => {
+  const { fingerprint, ...formatted } = output;
+  return formatted;
+};
+
+/**
+ * Event data sent along with a state change
+ */
+const getStateEventData = (job) => {
+  switch (job.state) {
+    case 'queued': return { position: exportQueue.getPosition(job.id) };
+    case 'completed': return { output: formatOutput(job.output) };
+    case 'failed': return { error: job.error };
+    default: return {};
+  }
+};
+
+class JobStore extends JsonFileStore {
+  constructor(filePath, maxFinished = 500) {
+    super(filePath, 'job store', 'jobs');
+    this.maxFinished = maxFinished;
+  }
+
+  // Keep only the most recent finished jobs
+  prune() {
+    const finished = [...this.records.values()]
+      .filter(job => FINISHED_JOB_STATES.includes(job.state))
+      .sort((a, b) => b.finished_at.localeCompare(a.finished_at));
+
+    for (const job of finished.slice(this.maxFinished)) {
+      this.records.delete(job.id);
+    }
+  }
+
+  create(id, route, fields = {}) {
+    const job = {
+      id,
+      route,
+      state: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      progress: { done: 0, total: 0 },
+      phase: null,
+      output: null,
+      error: null,
+      cancel_requested: false,
+      ...fields
+    };
+
+    this.records.set(id, job);
+    this.save();
+    return job;
+  }
+
+  update(id, changes, persistNow = true) {
+    const job = this.records.get(id);
+    if (!job) return null;
+
+    const previousState = job.state;
+    Object.assign(job, changes);
+    if (persistNow) {
+      this.save();
+    } else {
+      this.scheduleSave();
+    }
+
+    if (job.state !== previousState) {
+      emitJobEvent(id, job.state, getStateEventData(job));
+      recordJobTransition(job);
+    }
+    return job;
+  }
+
+  /**
+   * List jobs, newest first, optionally filtered by state, route, comic name and tenant
+   */
+  list({ state, route, comicName, tenant, limit = 50 } = {}) {
+    return [...this.records.values()]
+      .filter(job => !state || job.state === state)
+      .filter(job => !tenant || job.tenant === tenant)
+      .filter(job => !route || job.route === route)
+      .filter(job => !comicName || job.comic_name === comicName)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+}
+
+const jobStore = new JobStore(
+  process.env.JOB_STORE_PATH || path.join(__dirname, 'data', 'jobs.json'),
+  parseInt(process.env.JOB_STORE_MAX_FINISHED, 10) || 500
+);
+
+// Progress is also sent to the status webhook (as 'processing') at most this often; 0 = off
+const STATUS_PROGRESS_INTERVAL_MS = parseInt(process.env.STATUS_PROGRESS_INTERVAL_MS, 10) || 0;
+const lastProgressWebhook = new Map(); // exportId → time of the last progress webhook
+
+/**
+ * Record page progress for a job and stop it if a cancel was requested.
+ * Called between page downloads so a cancelled job stops at the next page.
+ * `item` names the page or panel that was just downloaded.
+ */
+const reportProgress = (exportId, done, total, item = null) => {
+  const job = jobStore.get(exportId);
+  if (!job) return;
+
+  if (job.cancel_requested) {
+    throw new ExportCancelledError(exportId);
+  }
+
+  jobStore.update(exportId, { progress: { done, total } }, false);
+  emitJobEvent(exportId, 'progress', { done, total, item });
+
+  if (STATUS_PROGRESS_INTERVAL_MS > 0 && job.route === 'export' && done > 0 && done < total) {
+    const now = Date.now();
+    if (now - (lastProgressWebhook.get(exportId) || 0) >= STATUS_PROGRESS_INTERVAL_MS) {
+      lastProgressWebhook.set(exportId, now);
+      updateExportStatus(exportId, 'processing', { progress: { done, total } });
+    }
+  }
+};
+
+/**
+ * Record the step a running job is in: downloading, processing, compositing, saving or uploading
+ * (kept once the job finishes, so a failed job shows where it stopped)
+ */
+const reportPhase = (exportId, phase) => {
+  const job = jobStore.get(exportId);
+  if (!job) return;
+
+  trackJobPhase(job, phase);
+  jobStore.update(exportId, { phase }, false);
+  emitJobEvent(exportId, 'phase', { phase });
+};
+
+// Export id → { active, previous } while pages of a job are being composited
+const compositingJobs = new Map();
+
+/**
+ * Run `compose` as the job's compositing phase. Pages are processed concurrently, so the job
+ * stays in compositing while any page is, then returns to the phase it was in.
+ */
+const runCompositingStep = async (exportId, compose) => {
+  const job = jobStore.get(exportId);
+  const compositing = compositingJobs.get(exportId) || { active: 0, previous: job && job.phase };
+  compositing.active++;
+  compositingJobs.set(exportId, compositing);
+  if (compositing.active === 1) reportPhase(exportId, 'compositing');
+
+  try {
+    return await compose();
+  } finally {
+    compositing.active--;
+    if (compositing.active === 0) {
+      compositingJobs.delete(exportId);
+      // A job that was cancelled or failed meanwhile keeps the phase it stopped in
+      const current = jobStore.get(exportId);
+      if (current && current.state === 'running' && current.phase === 'compositing') {
+        reportPhase(exportId, compositing.previous);
+      }
+    }
+  }
+};
+
+// ============================================
+// JOB SCHEDULING
+// ============================================
+
+// Cleared on SIGTERM so no new work is accepted while draining
+let acceptingJobs = true;
+
+const rejectWhileShuttingDown = (res) => {
+  res.set('Retry-After', '30');
+  return res.status(503).json({ success: false, error: 'Service is shutting down, retry shortly' });
+};
+
+/**
+ * Send a status change to whoever is waiting on this job
+ * (status webhook for /export, callback_url for /export-longstrip)
+ */
+const notifyJobStatus = async (job, status, data = {}) => {
+  if (job.route === 'longstrip') {
+    await sendCallback(job.callback_url, job.id, status, data);
+  } else {
+    await updateExportStatus(job.id, status, data);
+  }
+};
+
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+
+// AbortControllers of running jobs - aborted on DELETE or when a job exceeds JOB_TIMEOUT_MS
+const jobControllers = new Map();
+
+/**
+ * Abort signal of a running job (passed to its downloads)
+ */
+const getJobSignal = (exportId) => {
+  const controller = jobControllers.get(exportId);
+  return controller ? controller.signal : undefined;
+};
+
+/**
+ * Put a stored job on the export queue
+ */
+const enqueueJob = (job) => {
+  const runJob = job.route === 'longstrip' ? runLongstripJob : runExportJob;
+
+  exportQueue.add(async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new Error(`Export timed out after ${Math.round(JOB_TIMEOUT_MS / 1000)}s`));
+    }, JOB_TIMEOUT_MS);
+    jobControllers.set(job.id, controller);
+
+    try {
+      await runJob(job.payload);
+    } finally {
+      clearTimeout(timer);
+      jobControllers.delete(job.id);
+      lastProgressWebhook.delete(job.id);
+    }
+
+    // Stored bytes count towards the tenant's daily quota (reused artifacts store nothing)
+    const finished = jobStore.get(job.id);
+    if (finished && finished.tenant && finished.state === 'completed' && !finished.output.reused_from) {
+      usageStore.add(finished.tenant, { bytes: getJobOutputBytes(finished.output) });
+    }
+  }, job.id, {
+    priority: job.priority || 'normal',
+    key: getFairShareKey(job),
+    cost: getJobCost(job)
+  }).catch(error => {
+    console.error(`❌ [${job.id}] Queue error:`, error.message);
+    jobStore.update(job.id, {
+      state: 'failed',
+      finished_at: new Date().toISOString(),
+      error: `Queue error: ${error.message}`
+    });
+    // Try to notify even on queue error
+    notifyJobStatus(job, 'failed', {
+      error_message: `Queue error: ${error.message}`
+    }).catch(() => {});
+  });
+};
+
+// Push the new position of every waiting job that someone is watching
+exportQueue.on('change', () => {
+  exportQueue.getOrder().forEach(({ id }, index) => {
+    if (id && jobEvents.listenerCount(id) > 0) {
+      emitJobEvent(id, 'queued', { position: index + 1 });
+    }
+  });
+});
+
+/**
+ * Re-enqueue jobs that were waiting or running when the process last stopped.
+ * Running jobs restart from the first page.
+ */
+const resumeJobs = () => {
+  const unfinished = jobStore.list({ limit: Infinity })
+    .filter(job => RESUMABLE_JOB_STATES.includes(job.state))
+    .reverse(); // oldest first, to keep the original queue order
+
+  for (const job of unfinished) {
+    if (job.cancel_requested || !job.payload) {
+      jobStore.update(job.id, { state: 'cancelled', finished_at: new Date().toISOString() });
+      continue;
+    }
+
+    jobStore.update(job.id, {
+      state: 'queued',
+      started_at: null,
+      progress: { done: 0, total: 0 },
+      phase: null
+    });
+    enqueueJob(job);
+  }
+
+  if (unfinished.length > 0) {
+    console.log(`🔁 Resumed ${unfinished.length} unfinished export(s)`);
+  }
+};
+
+// ============================================
+// STORAGE BACKENDS
+// ============================================
+// Each driver factory takes { bucket } and returns:
+//   { name, upload(key, buffer, contentType), uploadStream(key, readable, contentType) }
+// Both upload methods resolve to the public URL of the stored file.
+
+const DEFAULT_STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'supabase';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'data', 'storage');
+const LOCAL_STORAGE_PUBLIC_URL = process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${PORT}/files`;
+
+// Encode each path segment of a storage key for use in a URL
+const encodeStorageKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const getSupabaseClient = () => {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+};
+
+const createSupabaseStorage = ({ bucket = process.env.SUPABASE_BUCKET || 'comics' } = {}) => ({
+  name: 'supabase',
+  upload: async (key, body, contentType) => {
+    const supabase = getSupabaseClient();
+
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(key, body, {
+        contentType,
+        upsert: true
+      });
+
+    if (error) {
+      throw new Error(`Supabase upload failed: ${error.message}`);
+    }
+
+    const { data: { publicUrl } } = supabase.storage
+      .from(bucket)
+      .getPublicUrl(key);
+
+    return publicUrl;
+  },
+  uploadStream: async (key, readable, contentType) => {
+    const supabase = getSupabaseClient();
+
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(key, readable, {
+        contentType,
+        upsert: true,
+        duplex: 'half' // required by fetch for streamed request bodies
+      });
+
+    if (error) {
+      throw new Error(`Supabase upload failed: ${error.message}`);
+    }
+
+    const { data: { publicUrl } } = supabase.storage
+      .from(bucket)
+      .getPublicUrl(key);
+
+    return publicUrl;
+  }
+});
+
+// S3-compatible (AWS S3, MinIO, R2...). Set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO.
+const getS3Client = () => {
+  return new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+};
+
+/**
+ * Public URL for an S3 object. S3_PUBLIC_URL may contain {bucket} (e.g. a CDN per bucket).
+ */
+const getS3PublicUrl = (bucket, key) => {
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace('{bucket}', bucket)}/${encodeStorageKey(key)}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}/${encodeStorageKey(key)}`;
+  }
+  return `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com/${encodeStorageKey(key)}`;
+};
+
+const createS3Storage = ({ bucket = process.env.S3_BUCKET } = {}) => ({
+  name: 's3',
+  upload: async (key, body, contentType) => {
+    if (!bucket) {
+      throw new Error('S3 upload failed: no bucket configured (S3_BUCKET)');
+    }
+
+    try {
+      await getS3Client().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`);
+    }
+
+    return getS3PublicUrl(bucket, key);
+  },
+  uploadStream: async (key, readable, contentType) => {
+    if (!bucket) {
+      throw new Error('S3 upload failed: no bucket configured (S3_BUCKET)');
+    }
+
+    // Multipart upload: parts are sent as they fill, and aborted if the stream errors
+    try {
+      await new Upload({
+        client: getS3Client(),
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: readable,
+          ContentType: contentType
+        }
+      }).done();
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`);
+    }
+
+    return getS3PublicUrl(bucket, key);
+  }
+});
+
+/**
+ * Path of a storage key under the local bucket directory (keys that resolve outside it are rejected)
+ */
+const getLocalFilePath = (bucket, key) => {
+  const root = path.resolve(LOCAL_STORAGE_DIR, bucket);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Local upload failed: ${key} is outside the storage directory`);
+  }
+  return filePath;
+};
+
+// Local filesystem, served by this service under /files (self-hosting and offline tests)
+const createLocalStorage = ({ bucket = 'comics' } = {}) => ({
+  name: 'local',
+  upload: async (key, body) => {
+    const filePath = getLocalFilePath(bucket, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return `${LOCAL_STORAGE_PUBLIC_URL}/${encodeURIComponent(bucket)}/${encodeStorageKey(key)}`;
+  },
+  uploadStream: async (key, readable) => {
+    const filePath = getLocalFilePath(bucket, key);
+    const partPath = `${filePath}.${crypto.randomUUID()}.part`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write next to the target and rename, so a failed export never replaces the previous file
+    try {
+      await new Promise((resolve, reject) => {
+        pipeline(readable, fs.createWriteStream(partPath), error => (error ? reject(error) : resolve()));
+      });
+      await fs.promises.rename(partPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(partPath, { force: true });
+      throw new Error(`Local upload failed: ${error.message}`);
+    }
+
+    return `${LOCAL_STORAGE_PUBLIC_URL}/${encodeURIComponent(bucket)}/${encodeStorageKey(key)}`;
+  }
+});
+
+const STORAGE_DRIVERS = {
+  supabase: createSupabaseStorage,
+  s3: createS3Storage,
+  local: createLocalStorage
+};
+
+// Request schema rule (see REQUEST VALIDATION) of the optional per-request `storage` object
+const STORAGE_OPTIONS_FIELD = {
+  type: 'object',
+  fields: {
+    driver: { type: 'string', enum: Object.keys(STORAGE_DRIVERS) },
+    bucket: { type: 'string', check: bucket => (/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(bucket) ? null : 'is not a valid bucket name') },
+    prefix: { type: 'string', check: prefix => (prefix.split('/').includes('..') ? 'must not contain ..' : null) }
+  }
+};
+
+/**
+ * Get the storage driver for a request (falls back to STORAGE_DRIVER)
+ */
+const getStorage = (storageOptions = {}) => {
+  const driver = storageOptions.driver || DEFAULT_STORAGE_DRIVER;
+  const createStorage = STORAGE_DRIVERS[driver];
+  if (!createStorage) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return createStorage({ bucket: storageOptions.bucket || undefined });
+};
+
+/**
+ * Storage key: optional per-request prefix + folder (exports/, longstrips/) + file name
+ */
+const buildStoragePath = (prefix, folder, fileName) => {
+  const cleanPrefix = (prefix || '').replace(/^\/+|\/+$/g, '');
+  return [cleanPrefix, folder, fileName].filter(Boolean).join('/');
+};
+
+// ============================================
+// WEBHOOK DELIVERY (signed, retried from a persisted outbox)
+// ============================================
+const STATUS_WEBHOOK_URL = process.env.STATUS_WEBHOOK_URL || 'https://comicreate-5f5892c3.base44.app/api/functions/updateExportStatus';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;
+
+/**
+ * Signature headers for a webhook body.
+ * Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`) and reject stale timestamps.
+ */
+const signWebhookBody = (deliveryId, body) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Timestamp': timestamp
+  };
+
+  if (WEBHOOK_SECRET) {
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Webhook-Signature'] = `sha256=${signature}`;
+  }
+
+  return headers;
+};
+
+// Delay before attempt n+1: 10s, 20s, 40s... capped at 1h, with ±20% jitter
+const getWebhookRetryDelay = (attempts) => {
+  const base = Math.min(60 * 60 * 1000, 10000 * 2 ** (attempts - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+class WebhookOutbox extends JsonFileStore {
+  constructor(filePath, maxDelivered = 1000, maxFailed = 1000) {
+    super(filePath, 'webhook outbox', 'deliveries');
+    this.maxDelivered = maxDelivered;
+    this.maxFailed = maxFailed;
+    this.inFlight = new Set();
+  }
+
+  // Keep only the most recent delivered and failed records (failed ones can be replayed until then)
+  prune() {
+    const delivered = [...this.records.values()]
+      .filter(delivery => delivery.state === 'delivered')
+      .sort((a, b) => b.delivered_at.localeCompare(a.delivered_at));
+    const failed = [...this.records.values()]
+      .filter(delivery => delivery.state === 'failed')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    for (const delivery of [...delivered.slice(this.maxDelivered), ...failed.slice(this.maxFailed)]) {
+      this.records.delete(delivery.id);
+    }
+  }
+
+  /**
+   * Whether an older delivery for the same export and URL is still pending (it has to go out first)
+   */
+  hasEarlierPending(delivery) {
+    return [...this.records.values()].some(other => other.state === 'pending' && other.id !== delivery.id
+      && other.export_id === delivery.export_id && other.url === delivery.url && other.created_at <= delivery.created_at);
+  }
+
+  /**
+   * Queue a webhook and start its first attempt without waiting for it.
+   * Behind an older pending delivery for the same export and URL, the retry timer sends it in order.
+   */
+  enqueue(exportId, target, url, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      export_id: exportId,
+      target,
+      url,
+      body: JSON.stringify(payload),
+      state: 'pending',
+      attempts: 0,
+      created_at: new Date().toISOString(),
+      next_attempt_at: new Date().toISOString(),
+      delivered_at: null,
+      last_status: null,
+      last_error: null
+    };
+
+    this.records.set(delivery.id, delivery);
+    this.save();
+    if (!this.hasEarlierPending(delivery)) {
+      this.attempt(delivery).catch(error => {
+        console.error(`❌ [${exportId}] ${target} webhook error:`, error.message);
+      });
+    }
+    return delivery;
+  }
+
+  /**
+   * Send every pending delivery that is due. Deliveries for the same export and URL
+   * go out in order, so a retried 'processing' never lands after 'completed'.
+   */
+  async deliverDue() {
+    const now = new Date().toISOString();
+    const pending = [...this.records.values()]
+      .filter(delivery => delivery.state === 'pending')
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const blocked = new Set();
+    const due = [];
+    for (const delivery of pending) {
+      const orderKey = `${delivery.export_id} ${delivery.url}`;
+      if (blocked.has(orderKey)) continue;
+      blocked.add(orderKey);
+      if (delivery.next_attempt_at <= now && !this.inFlight.has(delivery.id)) {
+        due.push(delivery);
+      }
+    }
+
+    await Promise.all(due.map(delivery => this.attempt(delivery)));
+  }
+
+  async attempt(delivery) {
+    this.inFlight.add(delivery.id);
+    delivery.attempts++;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+    try {
+      const request = {
+        method: 'POST',
+        headers: signWebhookBody(delivery.id, delivery.body),
+        body: delivery.body,
+        signal: controller.signal
+      };
+      // callback_url comes from the request, so it and every redirect hop are checked against the URL policy
+      const response = delivery.target === 'callback'
+        ? await fetchWithPolicy(delivery.url, request)
+        : await fetch(delivery.url, request);
+
+      delivery.last_status = response.status;
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${(await response.text()).slice(0, 200)}`);
+      }
+
+      delivery.state = 'delivered';
+      delivery.delivered_at = new Date().toISOString();
+      delivery.last_error = null;
+      console.log(`✅ [${delivery.export_id}] ${delivery.target} webhook delivered (${JSON.parse(delivery.body).status})`);
+    } catch (error) {
+      delivery.last_error = controller.signal.aborted ? `timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+      metrics.webhookFailures.inc({ target: delivery.target, gave_up: delivery.attempts >= WEBHOOK_MAX_ATTEMPTS });
+
+      if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        delivery.state = 'failed';
+        console.error(`❌ [${delivery.export_id}] ${delivery.target} webhook failed after ${delivery.attempts} attempts:`, delivery.last_error);
+      } else {
+        const delay = getWebhookRetryDelay(delivery.attempts);
+        delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        console.error(`⚠️ [${delivery.export_id}] ${delivery.target} webhook attempt ${delivery.attempts} failed (${delivery.last_error}), retry in ${Math.round(delay / 1000)}s`);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.inFlight.delete(delivery.id);
+      this.save();
+    }
+  }
+
+  /**
+   * Put a failed delivery back in the outbox with a fresh set of attempts
+   */
+  async replay(id) {
+    const delivery = this.get(id);
+    if (!delivery || delivery.state !== 'failed') return null;
+
+    Object.assign(delivery, {
+      state: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    });
+    this.save();
+    await this.deliverDue();
+    return delivery;
+  }
+
+  /**
+   * List deliveries, newest first, optionally filtered by state, export and target
+   */
+  list({ state, exportId, target, limit = 50 } = {}) {
+    return [...this.records.values()]
+      .filter(delivery => !state || delivery.state === state)
+      .filter(delivery => !exportId || delivery.export_id === exportId)
+      .filter(delivery => !target || delivery.target === target)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  getStatus() {
+    const counts = { pending: 0, delivered: 0, failed: 0 };
+    for (const delivery of this.records.values()) {
+      counts[delivery.state]++;
+    }
+    return counts;
+  }
+}
+
+const webhookOutbox = new WebhookOutbox(
+  process.env.WEBHOOK_OUTBOX_PATH || path.join(__dirname, 'data', 'outbox.json'),
+  1000,
+  parseInt(process.env.WEBHOOK_OUTBOX_MAX_FAILED, 10) || 1000
+);
+
+// Retries are picked up by this timer (also after a restart)
+setInterval(() => {
+  webhookOutbox.deliverDue().catch(error => {
+    console.error('❌ Webhook outbox error:', error.message);
+  });
+}, 5000).unref();
+
+// ============================================
+// STATUS UPDATE
+// ============================================
+const updateExportStatus = async (exportId, status, data = {}) => {
+  try {
+    await webhookOutbox.enqueue(exportId, 'status', STATUS_WEBHOOK_URL, { export_id: exportId, status, ...data });
+  } catch (error) {
+    console.error(`❌ [${exportId}] Error updating status:`, error.message);
+  }
+};
+
+// ============================================
+// IMAGE CACHE (on-disk LRU shared across jobs)
+// ============================================
+// Keys: url-<sha256(url)> → JSON { etag, lastModified, hash } of the last download
+//       raw-<hash>        → original bytes (only for URLs with ETag/Last-Modified)
+//       <variant>-<hash>  → processed image (compressed1600, panel<width>x<height>, <format><quality>-<size>)
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+class ImageCache {
+  constructor(dir, maxBytes) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key → size, in least-recently-used first order
+    this.totalBytes = 0;
+    this.hits = {};
+    this.misses = {};
+    this.load();
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  // Rebuild the index from the files on disk, oldest access first
+  load() {
+    if (!this.enabled) return;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const files = fs.readdirSync(this.dir)
+        .filter(name => !name.endsWith('.tmp'))
+        .map(name => ({ name, stat: fs.statSync(path.join(this.dir, name)) }))
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+
+      for (const { name, stat } of files) {
+        this.entries.set(name, stat.size);
+        this.totalBytes += stat.size;
+      }
+      this.evict();
+    } catch (error) {
+      console.error(`❌ Failed to load image cache ${this.dir}:`, error.message);
+    }
+  }
+
+  record(kind, hit) {
+    const counters = hit ? this.hits : this.misses;
+    counters[kind] = (counters[kind] || 0) + 1;
+  }
+
+  /**
+   * Read a cached entry (null on miss). Counts a hit/miss under `kind` if given.
+   */
+  async get(key, kind) {
+    if (!this.enabled) return null;
+
+    let buffer = null;
+    if (this.entries.has(key)) {
+      const filePath = path.join(this.dir, key);
+      try {
+        buffer = await fs.promises.readFile(filePath);
+        // Move to the most-recently-used end, and keep the order across restarts via mtime
+        const size = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, size);
+        const now = new Date();
+        fs.promises.utimes(filePath, now, now).catch(() => {});
+      } catch (error) {
+        this.forget(key);
+      }
+    }
+
+    if (kind) this.record(kind, buffer !== null);
+    return buffer;
+  }
+
+  async put(key, buffer) {
+    if (!this.enabled || buffer.length > this.maxBytes) return;
+
+    const filePath = path.join(this.dir, key);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpPath, buffer);
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (error) {
+      console.error(`❌ Failed to write image cache entry ${key}:`, error.message);
+      fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+      return;
+    }
+
+    this.forget(key);
+    this.entries.set(key, buffer.length);
+    this.totalBytes += buffer.length;
+    this.evict();
+  }
+
+  forget(key) {
+    if (!this.entries.has(key)) return;
+    this.totalBytes -= this.entries.get(key);
+    this.entries.delete(key);
+  }
+
+  // Drop least-recently-used entries until the cache fits its size cap
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.forget(key);
+      fs.promises.rm(path.join(this.dir, key), { force: true }).catch(() => {});
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      size: `${(this.totalBytes / 1024 / 1024).toFixed(2)} MB`,
+      maxSize: `${(this.maxBytes / 1024 / 1024).toFixed(0)} MB`,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+const imageCache = new ImageCache(
+  process.env.IMAGE_CACHE_DIR || path.join(__dirname, 'data', 'cache'),
+  (process.env.IMAGE_CACHE_MAX_MB !== undefined ? parseInt(process.env.IMAGE_CACHE_MAX_MB, 10) : 2048) * 1024 * 1024
+);
+
+/**
+ * Return a cached processed variant of a source image, or build and cache it
+ */
+const getCachedVariant = async (variant, hash, build, kind = variant) => {
+  const key = `${variant}-${hash}`;
+  const cached = await imageCache.get(key, kind);
+  if (cached) return cached;
+
+  const buffer = await build();
+  await imageCache.put(key, buffer);
+  return buffer;
+};
+
+// ============================================
+// URL POLICY (SSRF protection and input limits)
+// ============================================
+// Applies to every URL a request makes the service fetch (pages, covers, panels, watermark, callback_url).
+// URL_HOST_ALLOWLIST: comma-separated hosts, `.example.com` also allows subdomains (empty = any public host).
+// ALLOW_PRIVATE_URLS=true lifts the private address check (self-hosting and local tests).
+
+const URL_HOST_ALLOWLIST = (process.env.URL_HOST_ALLOWLIST || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const ALLOW_PRIVATE_URLS = process.env.ALLOW_PRIVATE_URLS === 'true';
+const ALLOWED_URL_PROTOCOLS = ['http:', 'https:'];
+const MAX_DOWNLOAD_BYTES = (parseInt(process.env.MAX_DOWNLOAD_MB, 10) || 50) * 1024 * 1024;
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 100 * 1000 * 1000;
+const ALLOWED_INPUT_FORMATS = (process.env.ALLOWED_INPUT_FORMATS || 'jpeg,png,webp,avif,gif').split(',').map(format => format.trim());
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+class UrlPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.code = 'EURLPOLICY'; // kept by node-fetch when the error comes from the DNS lookup
+  }
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const isHostAllowed = (hostname) => {
+  if (URL_HOST_ALLOWLIST.length === 0) return true;
+  return URL_HOST_ALLOWLIST.some(entry => {
+    const suffix = entry.replace(/^\*/, '');
+    return suffix.startsWith('.') ? hostname.endsWith(suffix) || hostname === suffix.slice(1) : hostname === entry;
+  });
+};
+
+/**
+ * Why the service may not fetch `url` (scheme, host allowlist, private IP literal), or null.
+ * Host names are checked again after DNS resolution when connecting.
+ */
+const getUrlPolicyError = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'is not a valid URL';
+  }
+
+  if (!ALLOWED_URL_PROTOCOLS.includes(parsed.protocol)) {
+    return `uses ${parsed.protocol.slice(0, -1)}, only http and https are allowed`;
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!isHostAllowed(hostname)) {
+    return `is on ${hostname}, which is not an allowed host`;
+  }
+  if (!ALLOW_PRIVATE_URLS && net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return `points at a private address (${hostname})`;
+  }
+  return null;
+};
+
+/**
+ * DNS lookup that refuses host names resolving to a private address,
+ * so the address that is checked is the one connected to (no DNS rebinding)
+ */
+const policyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = ALLOW_PRIVATE_URLS ? null : addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new UrlPolicyError(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const policyAgents = {
+  'http:': new http.Agent({ lookup: policyLookup }),
+  'https:': new https.Agent({ lookup: policyLookup })
+};
+
+// node-fetch agent option: picks the agent for each request, redirects included
+const getPolicyAgent = (parsedUrl) => policyAgents[parsedUrl.protocol];
+
+/**
+ * fetch() for request-provided URLs: checked against the policy, redirects followed
+ * by hand so every hop is checked too
+ */
+const fetchWithPolicy = async (url, options = {}) => {
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const problem = getUrlPolicyError(currentUrl);
+    if (problem) {
+      throw new UrlPolicyError(currentUrl === url ? `the URL ${problem}` : `redirect to ${currentUrl} ${problem}`);
+    }
+
+    const response = await fetch(currentUrl, { ...options, redirect: 'manual', agent: getPolicyAgent });
+    const location = response.headers.get('location');
+    if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+      return response;
+    }
+
+    response.body.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new UrlPolicyError(`more than ${MAX_REDIRECTS} redirects`);
+    }
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+};
+
+/**
+ * Check a downloaded image against the input limits before anything decodes it
+ * (sharp only reads the header here)
+ */
+const checkImageInput = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error('not a readable image');
+  }
+
+  const format = metadata.format === 'heif' ? getImageExtension(metadata) : metadata.format;
+  if (!ALLOWED_INPUT_FORMATS.includes(format)) {
+    throw new Error(`${format} images are not accepted (allowed: ${ALLOWED_INPUT_FORMATS.join(', ')})`);
+  }
+  if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+    throw new Error(`image is ${metadata.width}x${metadata.height} pixels, more than the ${MAX_IMAGE_PIXELS} allowed`);
+  }
+};
+
+// ============================================
+// IMAGE DOWNLOADS (timeouts, retries, bounded concurrency)
+// ============================================
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 4;
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 30000;
+// 0 turns retries off, so only a missing or non-numeric value falls back to the default
+const downloadRetries = parseInt(process.env.DOWNLOAD_RETRIES, 10);
+const DOWNLOAD_RETRIES = Number.isNaN(downloadRetries) ? 3 : Math.max(0, downloadRetries);
+
+// 408/429 and 5xx are worth another try, other statuses are not
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Wait for `ms`, rejecting early with the abort reason if `signal` fires
+ */
+const sleep = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Fetch a URL into a Buffer, resolving to { status, headers, buffer } (buffer is null for a 304).
+ * Each attempt has its own timeout; network errors, timeouts and transient statuses
+ * are retried with jittered exponential backoff. `signal` aborts the whole download
+ * (job cancelled or timed out) and rejects with its reason.
+ */
+const fetchWithRetry = async (url, { signal, headers } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) throw signal.reason;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+    const onJobAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onJobAbort, { once: true });
+
+    let retryable;
+    let reason;
+
+    try {
+      const response = await fetchWithPolicy(url, { signal: controller.signal, headers, size: MAX_DOWNLOAD_BYTES });
+      if (response.status === 304) {
+        return { status: 304, headers: response.headers, buffer: null };
+      }
+      const contentLength = parseInt(response.headers.get('content-length'), 10);
+      if (response.ok && contentLength > MAX_DOWNLOAD_BYTES) {
+        response.body.resume();
+        throw new UrlPolicyError(`${contentLength} bytes, more than the ${MAX_DOWNLOAD_BYTES} allowed`);
+      }
+      if (response.ok) {
+        const buffer = Buffer.from(await response.arrayBuffer());
+        metrics.downloadedBytes.inc({}, buffer.length);
+        return { status: response.status, headers: response.headers, buffer };
+      }
+      retryable = isRetryableStatus(response.status);
+      reason = `HTTP ${response.status}`;
+    } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
+      if (error.code === 'EURLPOLICY' || error.type === 'max-size') {
+        // Rejected by the URL policy or the size limit: no point in trying again
+        retryable = false;
+        reason = error.type === 'max-size'
+          ? `more than the ${MAX_DOWNLOAD_BYTES} bytes allowed`
+          : error.message.replace(/^request to .* failed, reason: /, '');
+      } else {
+        // Timeouts and network failures (node-fetch FetchError) are transient
+        retryable = controller.signal.aborted || error.name === 'FetchError';
+        reason = controller.signal.aborted ? `timed out after ${DOWNLOAD_TIMEOUT_MS}ms` : error.message;
+      }
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onJobAbort);
+    }
+
+    if (!retryable || attempt >= DOWNLOAD_RETRIES) {
+      throw new Error(`Failed to download ${url}: ${reason}`);
+    }
+
+    // Full jitter: random delay up to 500ms, 1s, 2s... capped at 8s
+    const delay = Math.round(Math.random() * Math.min(8000, 500 * 2 ** attempt));
+    console.log(`   ⚠️ ${reason} for ${url}, retry ${attempt + 1}/${DOWNLOAD_RETRIES} in ${delay}ms`);
+    await sleep(delay, signal);
+  }
+};
+
+/**
+ * Download a source image, resolving to { buffer, hash } (hash = SHA-256 of the bytes).
+ * URLs that sent an ETag or Last-Modified are revalidated with a conditional request,
+ * and a 304 is served from the image cache.
+ */
+const downloadImage = async (url, downloadOptions = {}) => {
+  // Running jobs have already downloaded their sources
+  if (downloadOptions.sources && downloadOptions.sources.has(url)) {
+    return downloadOptions.sources.get(url);
+  }
+
+  const urlKey = `url-${sha256(url)}`;
+  const cachedMeta = await imageCache.get(urlKey);
+  const known = cachedMeta ? JSON.parse(cachedMeta.toString()) : null;
+  const cachedRaw = known ? await imageCache.get(`raw-${known.hash}`) : null;
+
+  const headers = {};
+  if (cachedRaw && known.etag) headers['If-None-Match'] = known.etag;
+  if (cachedRaw && known.lastModified) headers['If-Modified-Since'] = known.lastModified;
+
+  const fetchStarted = Date.now();
+  const response = await fetchWithRetry(url, { ...downloadOptions, headers });
+  metrics.sourceDownload.observe({}, (Date.now() - fetchStarted) / 1000);
+  if (response.status === 304 && cachedRaw) {
+    imageCache.record('download', true);
+    await checkImageInput(cachedRaw);
+    return { buffer: cachedRaw, hash: known.hash };
+  }
+  if (response.status === 304) {
+    // Not revalidating anything - the server should not send 304
+    throw new Error(`Failed to download ${url}: unexpected HTTP 304`);
+  }
+
+  imageCache.record('download', false);
+  const buffer = response.buffer;
+  await checkImageInput(buffer);
+  const hash = sha256(buffer);
+
+  // Only URLs with validators can be trusted to still point at the same bytes
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  if (etag || lastModified) {
+    await imageCache.put(`raw-${hash}`, buffer);
+    await imageCache.put(urlKey, Buffer.from(JSON.stringify({ etag, lastModified, hash })));
+  }
+
+  return { buffer, hash };
+};
+
+/**
+ * Run `worker(item, index)` over items with at most `concurrency` running at once,
+ * yielding results in input order whichever finishes first.
+ * Remaining work is aborted (via the signal passed to the worker) when the consumer stops or a worker fails.
+ */
+async function* mapInOrder(items, worker, concurrency = DOWNLOAD_CONCURRENCY, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  const pending = [];
+  let next = 0;
+
+  const startNext = () => {
+    const index = next++;
+    const promise = worker(items[index], index, controller.signal);
+    promise.catch(() => {}); // handled when awaited in order
+    pending.push(promise);
+  };
+
+  try {
+    while (next < items.length && pending.length < concurrency) {
+      startNext();
+    }
+
+    while (pending.length > 0) {
+      const result = await pending.shift();
+      if (next < items.length) startNext();
+      yield result;
+    }
+  } finally {
+    controller.abort();
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Name the page a download/processing error belongs to.
+ * Job-level aborts (cancel, job timeout) are passed through unchanged.
+ */
+const pageError = (title, error, signal) => {
+  if (signal && signal.aborted && error === signal.reason) return error;
+  return new Error(`${title}: ${error.message}`);
+};
+
+// ============================================
+// SHARED SOURCES (one download pass per job)
+// ============================================
+const SOURCE_SPOOL_DIR = process.env.SOURCE_SPOOL_DIR || path.join(__dirname, 'data', 'sources');
+
+// Source sets of running jobs, used by their downloads instead of the network
+const jobSources = new Map();
+
+// Spooled sources only live as long as their job, so anything left is from a previous process
+fs.rmSync(SOURCE_SPOOL_DIR, { recursive: true, force: true });
+
+/**
+ * Source images of one export, downloaded once and spooled to disk so that every
+ * target renders from the same bytes without keeping them all in memory.
+ */
+class SourceSet {
+  constructor(exportId) {
+    this.dir = path.join(SOURCE_SPOOL_DIR, `${exportId.replace(/[^a-zA-Z0-9_-]/g, '_')}-${crypto.randomUUID()}`);
+    this.sources = new Map(); // url → { file, hash } or { error } when the download failed
+  }
+
+  has(url) {
+    return this.sources.has(url);
+  }
+
+  /**
+   * SHA-256 of a downloaded source (a failed download is thrown again)
+   */
+  getHash(url) {
+    const source = this.sources.get(url);
+    if (source.error) throw source.error;
+    return source.hash;
+  }
+
+  /**
+   * Read a source as downloadImage would return it (a failed download is thrown again)
+   */
+  async get(url) {
+    const source = this.sources.get(url);
+    if (source.error) throw source.error;
+    return { buffer: await fs.promises.readFile(source.file), hash: source.hash };
+  }
+
+  /**
+   * Download every distinct URL once. Failed downloads are kept rather than thrown,
+   * so targets that do not need them can still render.
+   */
+  async prefetch(exportId, urls) {
+    const distinct = [...new Set(urls)];
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const downloads = mapInOrder(distinct, async (url, index, signal) => {
+      try {
+        const { buffer, hash } = await downloadImage(url, { signal });
+        const file = path.join(this.dir, String(index));
+        await fs.promises.writeFile(file, buffer);
+        return { file, hash };
+      } catch (error) {
+        if (signal.aborted) throw error;
+        return { error };
+      }
+    }, DOWNLOAD_CONCURRENCY, getJobSignal(exportId));
+
+    reportPhase(exportId, 'downloading');
+    reportProgress(exportId, 0, distinct.length);
+
+    for await (const source of downloads) {
+      this.sources.set(distinct[this.sources.size], source);
+      reportProgress(exportId, this.sources.size, distinct.length);
+    }
+
+    const failed = [...this.sources.values()].filter(source => source.error).length;
+    console.log(`📥 [${exportId}] Downloaded ${distinct.length - failed}/${distinct.length} source images once for the job`);
+  }
+
+  async release() {
+    await fs.promises.rm(this.dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// ============================================
+// RENDER FINGERPRINTS (skip re-rendering unchanged exports)
+// ============================================
+// A fingerprint hashes a request's tenant and render options with the SHA-256 of every source image,
+// taken from the job's single download pass (conditional requests make it cheap for cached sources).
+// A job whose fingerprint matches an earlier artifact of the same tenant completes with that artifact instead of rendering.
+// Sources that failed to download, or `force: true`, always render.
+
+// Request fields that do not change the rendered file
+const FINGERPRINT_IGNORED_FIELDS = ['exportId', 'export_id', 'callback_url', 'priority', 'force'];
+
+/**
+ * JSON with object keys sorted, so equal requests hash the same whatever their key order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint of a job's output from its prefetched sources, or null when it cannot be trusted (see above)
+ */
+const getRenderFingerprint = (exportId, route, payload, sourceSet) => {
+  if (payload.force) return null;
+
+  const options = Object.fromEntries(Object.entries(payload).filter(([key]) => !FINGERPRINT_IGNORED_FIELDS.includes(key)));
+  // Watermark and imprint placeholders make the file specific to this export or day
+  const markText = JSON.stringify([payload.watermark, payload.imprint]) || '';
+  if (markText.includes('{export_id}')) options.export_id = exportId;
+  if (markText.includes('{date}')) options.date = new Date().toISOString().slice(0, 10);
+
+  const sources = [];
+  for (const url of sourceSet.sources.keys()) {
+    try {
+      sources.push([url, sourceSet.getHash(url)]);
+    } catch (error) {
+      console.log(`🔎 [${exportId}] Not fingerprinting, ${error.message}`);
+      return null;
+    }
+  }
+
+  // Tenants never share artifacts
+  const job = jobStore.get(exportId);
+  const tenant = job ? job.tenant : null;
+
+  return sha256(stableStringify({ route, tenant, options, sources }));
+};
+
+/**
+ * Every file URL of a job output, manifests included
+ */
+const getOutputUrls = (output) => {
+  return [output, ...(output.outputs || [])]
+    .flatMap(target => [target.url, target.manifest_url])
+    .filter(Boolean);
+};
+
+// Fingerprint → { export_id, output, created_at } of the render that produced the files
+class ArtifactStore extends JsonFileStore {
+  constructor(filePath, maxArtifacts = 1000) {
+    super(filePath, 'artifact store', 'artifacts');
+    this.maxArtifacts = maxArtifacts;
+  }
+
+  // Keep only the most recent artifacts
+  prune() {
+    const artifacts = [...this.records.values()].sort((a, b) => b.created_at.localeCompare(a.created_at));
+    for (const artifact of artifacts.slice(this.maxArtifacts)) {
+      this.records.delete(artifact.id);
+    }
+  }
+
+  /**
+   * Record the files a render uploaded (fingerprint may be null).
+   * Earlier artifacts at the same URLs are dropped: their files have just been overwritten.
+   */
+  remember(fingerprint, exportId, output) {
+    const urls = getOutputUrls(output);
+    for (const artifact of this.records.values()) {
+      if (getOutputUrls(artifact.output).some(url => urls.includes(url))) {
+        this.records.delete(artifact.id);
+      }
+    }
+
+    if (fingerprint) {
+      this.records.set(fingerprint, { id: fingerprint, export_id: exportId, output, created_at: new Date().toISOString() });
+    }
+    this.save();
+  }
+}
+
+const artifactStore = new ArtifactStore(
+  process.env.ARTIFACT_STORE_PATH || path.join(__dirname, 'data', 'artifacts.json'),
+  parseInt(process.env.ARTIFACT_STORE_MAX, 10) || 1000
+);
+
+/**
+ * Whether every target of a job output rendered (a failed target has to render again)
+ */
+const isCompleteOutput = (output) => !(output.outputs || []).some(target => target.error);
+
+/**
+ * Earlier complete output with the same fingerprint, marked as reused, or null
+ */
+const findReusableOutput = (fingerprint) => {
+  const artifact = fingerprint ? artifactStore.get(fingerprint) : null;
+  if (!artifact || !isCompleteOutput(artifact.output)) return null;
+  return { ...artifact.output, reused_from: artifact.export_id };
+};
+
+// ============================================
+// IMAGE PROCESSING
+// ============================================
+
+// Output formats selectable with image_format (maxDimension: largest width/height the format can encode)
+const IMAGE_FORMATS = {
+  jpeg: { ext: 'jpg', mimeType: 'image/jpeg', maxDimension: 65535 },
+  png: { ext: 'png', mimeType: 'image/png', maxDimension: null },
+  webp: { ext: 'webp', mimeType: 'image/webp', maxDimension: 16383 },
+  avif: { ext: 'avif', mimeType: 'image/avif', maxDimension: 16384 }
+};
+
+// Compression modes a request can ask for
+const COMPRESSION_MODES = ['fullhd', 'high', 'medium', 'low'];
+
+// Quality per format for each compression mode (PNG below 100 is quantized to a palette)
+const IMAGE_QUALITY_PRESETS = {
+  jpeg: { high: 95, medium: 85, low: 70 },
+  webp: { high: 90, medium: 80, low: 65 },
+  avif: { high: 70, medium: 55, low: 40 },
+  png: { high: 100, medium: 90, low: 70 }
+};
+
+/**
+ * Get image quality based on compression mode (fullhd counts as high)
+ */
+const getImageQuality = (compressionMode, imageFormat = 'jpeg') => {
+  const presets = IMAGE_QUALITY_PRESETS[imageFormat];
+  switch (compressionMode) {
+    case 'fullhd':
+    case 'high': return presets.high;
+    case 'medium': return presets.medium;
+    case 'low': return presets.low;
+    default: return presets.medium;
+  }
+};
+
+/**
+ * Set the output encoder of a sharp pipeline
+ */
+const encodeImage = (image, imageFormat, quality, { progressive = false } = {}) => {
+  switch (imageFormat) {
+    case 'jpeg': return image.jpeg({ quality, progressive });
+    case 'webp': return image.webp({ quality });
+    case 'avif': return image.avif({ quality });
+    default:
+      return quality >= 100
+        ? image.png({ compressionLevel: 9 })
+        : image.png({ compressionLevel: 9, palette: true, quality });
+  }
+};
+
+/**
+ * File extension of a decoded image (sharp reports AVIF as heif)
+ */
+const getImageExtension = ({ format, compression }) => {
+  if (format === 'heif') return compression === 'av1' ? 'avif' : 'heic';
+  return IMAGE_FORMATS[format] ? IMAGE_FORMATS[format].ext : format;
+};
+
+// For COMPRESSED mode - resize and keep as optimized PNG
+const processImageCompressed = async (url, downloadOptions) => {
+  const { buffer: inputBuffer, hash } = await downloadImage(url, downloadOptions);
+  
+  // Resize and compress as PNG (reused from the image cache when this source was seen before)
+  const processed = await getCachedVariant('compressed1600', hash, () => {
+    return sharp(inputBuffer)
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .resize(1600, 1600, { fit: 'inside', withoutEnlargement: true })
+      .png({ compressionLevel: 9, palette: true }) // High compression PNG
+      .toBuffer();
+  });
+  
+  console.log(`   Compressed: ${(inputBuffer.length/1024).toFixed(0)}KB → ${(processed.length/1024).toFixed(0)}KB`);
+  
+  inputBuffer.fill(0);
+  return processed;
+};
+
+// For FULL HD mode - keep original images AS-IS (no processing = no bloat)
+const processImageFullHD = async (url, downloadOptions) => {
+  const { buffer } = await downloadImage(url, downloadOptions);
+  console.log(`   Full HD: ${(buffer.length/1024).toFixed(0)}KB (original)`);
+  
+  return buffer;
+};
+
+/**
+ * Download an image for /export and encode it as `imageFormat`, resized to fit 1600px
+ * unless Full HD. Without an image format the legacy processing above is used.
+ */
+const processImageAs = async (url, imageFormat, compression, downloadOptions) => {
+  const isFullHD = compression === 'fullhd';
+  if (!imageFormat) {
+    return isFullHD ? processImageFullHD(url, downloadOptions) : processImageCompressed(url, downloadOptions);
+  }
+
+  const { buffer: inputBuffer, hash } = await downloadImage(url, downloadOptions);
+  const quality = getImageQuality(compression, imageFormat);
+
+  const processed = await getCachedVariant(`${imageFormat}${quality}-${isFullHD ? 'full' : '1600'}`, hash, () => {
+    let image = sharp(inputBuffer).flatten({ background: { r: 255, g: 255, b: 255 } });
+    if (!isFullHD) {
+      image = image.resize(1600, 1600, { fit: 'inside', withoutEnlargement: true });
+    }
+    return encodeImage(image, imageFormat, quality).toBuffer();
+  }, 'transcoded');
+
+  console.log(`   ${imageFormat.toUpperCase()} (q${quality}): ${(inputBuffer.length/1024).toFixed(0)}KB → ${(processed.length/1024).toFixed(0)}KB`);
+
+  inputBuffer.fill(0);
+  return processed;
+};
+
+// Download original without any processing (fallback)
+const downloadImageOriginal = async (url, downloadOptions) => {
+  const { buffer } = await downloadImage(url, downloadOptions);
+  return buffer;
+};
+
+/**
+ * Format to re-encode a decoded image in, keeping its encoding (sharp reports AVIF as heif)
+ */
+const getEncodableFormat = (metadata) => {
+  if (metadata.format === 'heif') return 'avif';
+  return IMAGE_FORMATS[metadata.format] ? metadata.format : 'png';
+};
+
+// ============================================
+// WATERMARKS AND IMPRINT (review copies)
+// ============================================
+// watermark: { text | image_url, opacity, size, position, color } on every page or panel
+// imprint:   { text, color, background } footer on the last page, or below a longstrip
+// Texts may use {export_id}, {recipient} (the request's `recipient`) and {date}.
+
+const WATERMARK_POSITIONS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'tile'];
+// sharp composite gravity of each watermark position
+const WATERMARK_GRAVITY = {
+  center: 'centre',
+  'top-left': 'northwest',
+  'top-right': 'northeast',
+  'bottom-left': 'southwest',
+  'bottom-right': 'southeast'
+};
+const DEFAULT_WATERMARK_OPACITY = 0.3;
+const DEFAULT_WATERMARK_SIZE = 0.4; // share of the page width/height the mark may take
+const DEFAULT_WATERMARK_COLOR = '#808080';
+const DEFAULT_IMPRINT_COLOR = '#ffffff';
+const DEFAULT_IMPRINT_BACKGROUND = '#000000';
+const HEX_COLOR_PATTERN = /^#?[0-9a-fA-F]{6}$/;
+
+// Request schema rules (see REQUEST VALIDATION) of the watermark, imprint and recipient of a request
+const FRACTION_FIELD = {
+  type: 'number',
+  check: value => (value > 0 && value <= 1 ? null : 'must be greater than 0 and at most 1')
+};
+const MARK_FIELDS = {
+  watermark: {
+    type: 'object',
+    fields: {
+      text: { type: 'string' },
+      image_url: { type: 'string', format: 'url' },
+      opacity: FRACTION_FIELD,
+      size: FRACTION_FIELD,
+      position: { type: 'string', enum: WATERMARK_POSITIONS },
+      color: { type: 'string', format: 'hex_color' }
+    },
+    check: watermark => (Boolean(watermark.text) === Boolean(watermark.image_url) ? 'needs either a text or an image_url' : null)
+  },
+  imprint: {
+    type: 'object',
+    fields: {
+      text: { type: 'string', required: true },
+      color: { type: 'string', format: 'hex_color' },
+      background: { type: 'string', format: 'hex_color' }
+    }
+  },
+  recipient: { type: 'string' }
+};
+
+/**
+ * Fill the placeholders of a watermark or imprint text
+ */
+const fillMarkText = (text, exportId, recipient) => {
+  return text
+    .replace(/\{export_id\}/g, exportId)
+    .replace(/\{recipient\}/g, recipient || '')
+    .replace(/\{date\}/g, new Date().toISOString().slice(0, 10));
+};
+
+/**
+ * Resolve the watermark and imprint of a job once: texts filled in, watermark image downloaded.
+ * Returns null when the request has neither.
+ */
+const loadPageMarks = async (exportId, { watermark, imprint, recipient }) => {
+  if (!watermark && !imprint) return null;
+
+  const marks = { watermark: null, imprint: null };
+
+  if (watermark) {
+    marks.watermark = {
+      text: watermark.text ? fillMarkText(watermark.text, exportId, recipient) : null,
+      image: null,
+      opacity: watermark.opacity || DEFAULT_WATERMARK_OPACITY,
+      size: watermark.size || DEFAULT_WATERMARK_SIZE,
+      position: watermark.position || 'center',
+      color: `#${(watermark.color || DEFAULT_WATERMARK_COLOR).replace('#', '')}`
+    };
+
+    if (watermark.image_url) {
+      const signal = getJobSignal(exportId);
+      try {
+        marks.watermark.image = (await downloadImage(watermark.image_url, { signal, sources: jobSources.get(exportId) })).buffer;
+      } catch (error) {
+        throw pageError('Watermark image', error, signal);
+      }
+    }
+  }
+
+  if (imprint) {
+    marks.imprint = {
+      text: fillMarkText(imprint.text, exportId, recipient),
+      color: `#${(imprint.color || DEFAULT_IMPRINT_COLOR).replace('#', '')}`,
+      background: imprint.background || DEFAULT_IMPRINT_BACKGROUND
+    };
+  }
+
+  return marks;
+};
+
+/**
+ * Single line of text rendered as a transparent PNG, as large as fits in width x height
+ */
+const renderTextImage = (text, color, font, width, height) => {
+  return sharp({
+    text: {
+      text: `<span foreground="${color}">${escapeXml(text)}</span>`,
+      font,
+      width,
+      height,
+      rgba: true,
+      wrap: 'none'
+    }
+  }).png().toBuffer();
+};
+
+/**
+ * The watermark for a page of width x height, with its opacity applied
+ */
+const renderWatermarkMark = async (watermark, width, height) => {
+  const maxWidth = Math.max(1, Math.round(width * watermark.size));
+  const maxHeight = Math.max(1, Math.round(height * watermark.size));
+
+  const mark = watermark.image
+    ? await sharp(watermark.image).resize(maxWidth, maxHeight, { fit: 'inside' }).png().toBuffer()
+    : await renderTextImage(watermark.text, watermark.color, 'sans bold', maxWidth, maxHeight);
+
+  // Scale the alpha channel by the opacity
+  return sharp(mark)
+    .ensureAlpha()
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+};
+
+/**
+ * sharp composite operations placing the watermark on a page of width x height
+ */
+const getWatermarkComposites = async (watermark, width, height) => {
+  const margin = Math.round(Math.min(width, height) * 0.03);
+  const boxWidth = width - 2 * margin;
+  const boxHeight = height - 2 * margin;
+  // Too small to hold a readable mark
+  if (boxWidth < 16 || boxHeight < 16) return [];
+
+  const mark = await renderWatermarkMark(watermark, boxWidth, boxHeight);
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+  if (watermark.position === 'tile') {
+    // Repeat the mark with a third of its longer side as spacing, within the page
+    const { width: markWidth, height: markHeight } = await sharp(mark).metadata();
+    const space = Math.max(markWidth, markHeight) / 3;
+    const spaceX = Math.floor(Math.min(space, (width - markWidth) / 2));
+    const spaceY = Math.floor(Math.min(space, (height - markHeight) / 2));
+    const tile = await sharp(mark)
+      .extend({ top: spaceY, bottom: spaceY, left: spaceX, right: spaceX, background: transparent })
+      .png()
+      .toBuffer();
+    return [{ input: tile, tile: true, gravity: 'northwest' }];
+  }
+
+  const input = await sharp(mark)
+    .extend({ top: margin, bottom: margin, left: margin, right: margin, background: transparent })
+    .png()
+    .toBuffer();
+  return [{ input, gravity: WATERMARK_GRAVITY[watermark.position] }];
+};
+
+/**
+ * Imprint footer band for an image `width` wide: text on a translucent background
+ */
+const renderImprintBand = async (imprint, width) => {
+  const height = Math.max(24, Math.round(width * 0.04));
+  const padding = Math.round(height * 0.2);
+  const text = await renderTextImage(imprint.text, imprint.color, 'sans', width - 2 * padding, height - 2 * padding);
+
+  return sharp({ create: { width, height, channels: 4, background: { ...parseHexColor(imprint.background), alpha: 0.6 } } })
+    .composite([{ input: text, gravity: 'centre' }])
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Draw the watermark (and with `imprint`, the imprint footer) on a page image.
+ * The page keeps its size and encoding; the input buffer is released.
+ */
+const applyPageMarks = async (buffer, marks, { imprint = false } = {}) => {
+  const metadata = await sharp(buffer).metadata();
+  const composites = [];
+
+  if (marks.watermark) {
+    composites.push(...await getWatermarkComposites(marks.watermark, metadata.width, metadata.height));
+  }
+  if (imprint && marks.imprint) {
+    const band = await renderImprintBand(marks.imprint, metadata.width);
+    const { height: bandHeight } = await sharp(band).metadata();
+    if (bandHeight <= metadata.height) {
+      composites.push({ input: band, gravity: 'south' });
+    }
+  }
+  if (composites.length === 0) return buffer;
+
+  const format = getEncodableFormat(metadata);
+  const marked = await encodeImage(sharp(buffer).composite(composites), format, IMAGE_QUALITY_PRESETS[format].high).toBuffer();
+  buffer.fill(0);
+  return marked;
+};
+
+// ============================================
+// EXPORT ITEM ORDERING
+// ============================================
+
+/**
+ * Build the ordered list of images for a chapter export:
+ * comic cover, chapter cover (or page 0), regular pages, back cover.
+ * `label` is used for progress logs, `title` to name the page in outputs and errors.
+ */
+const getExportItems = (pages, covers = {}) => {
+  const items = [];
+
+  if (covers.comic_cover) {
+    items.push({ type: 'comic_cover', url: covers.comic_cover, label: 'Comic cover', title: 'Comic cover' });
+  }
+
+  // Chapter cover (from covers object OR page 0)
+  const page0 = pages.find(p => p.page_number === 0);
+  if (covers.chapter_cover) {
+    items.push({ type: 'chapter_cover', url: covers.chapter_cover, label: 'Chapter cover', title: 'Chapter cover' });
+  } else if (page0 && page0.image_url) {
+    items.push({ type: 'chapter_cover', url: page0.image_url, label: 'Page 0 (chapter cover)', title: 'Page 0 (chapter cover)', page_number: 0 });
+  }
+
+  // Regular pages (page_number > 0)
+  const regularPages = pages.filter(p => p.page_number > 0 && p.image_url).sort((a, b) => a.page_number - b.page_number);
+  for (const page of regularPages) {
+    items.push({
+      type: 'page',
+      url: page.image_url,
+      label: `Page ${page.page_number}/${regularPages.length}`,
+      title: `Page ${page.page_number}`,
+      page_number: page.page_number,
+      spread: page.spread
+    });
+  }
+
+  if (covers.back_cover) {
+    items.push({ type: 'back_cover', url: covers.back_cover, label: 'Back cover', title: 'Back cover' });
+  }
+
+  return items;
+};
+
+/**
+ * Table of contents title of a volume chapter
+ */
+const getChapterTitle = (chapter) => {
+  return chapter.title ? `Chapter ${chapter.chapterNumber}: ${chapter.title}` : `Chapter ${chapter.chapterNumber}`;
+};
+
+/**
+ * Build the ordered list of images for a volume (several chapters in one file):
+ * one comic cover, then for each chapter its cover (chapter_cover or page 0) and pages,
+ * then one back cover. Chapter items carry `chapter: { number, title }` for tables of contents.
+ */
+const getVolumeItems = (chapters, covers = {}) => {
+  const items = [];
+
+  if (covers.comic_cover) {
+    items.push({ type: 'comic_cover', url: covers.comic_cover, label: 'Comic cover', title: 'Comic cover' });
+  }
+
+  for (const chapter of chapters) {
+    const chapterInfo = { number: chapter.chapterNumber, title: getChapterTitle(chapter) };
+    for (const item of getExportItems(chapter.pages, { chapter_cover: chapter.chapter_cover })) {
+      items.push({
+        ...item,
+        label: `Chapter ${chapter.chapterNumber} - ${item.label}`,
+        title: `Chapter ${chapter.chapterNumber}, ${item.title}`,
+        chapter: chapterInfo
+      });
+    }
+  }
+
+  if (covers.back_cover) {
+    items.push({ type: 'back_cover', url: covers.back_cover, label: 'Back cover', title: 'Back cover' });
+  }
+
+  return items;
+};
+
+/**
+ * Download and process export items in parallel, yielding results in export order.
+ * `processFn(url, downloadOptions, item)` wraps one of the processImage* functions; failures name the page.
+ */
+const downloadItems = (exportId, items, processFn) => {
+  return mapInOrder(items, async (item, index, signal) => {
+    try {
+      return await processFn(item.url, { signal, sources: jobSources.get(exportId) }, item);
+    } catch (error) {
+      throw pageError(item.title, error, signal);
+    }
+  }, DOWNLOAD_CONCURRENCY, getJobSignal(exportId));
+};
+
+/**
+ * Archive entry base name for an export item (without index prefix or extension)
+ */
+const getItemEntryName = (item) => {
+  const name = item.type === 'page' ? `page_${item.page_number}` : item.type;
+  return item.chapter ? `ch${item.chapter.number}_${name}` : name;
+};
+
+// ---- Reading direction and double-page spreads ----
+const READING_DIRECTIONS = ['ltr', 'rtl'];
+// Order in which the halves of a split spread are read
+const SPREAD_HALVES = {
+  ltr: ['left', 'right'],
+  rtl: ['right', 'left']
+};
+
+/**
+ * Whether an item is a two-page spread: the page's `spread` flag when set,
+ * otherwise any page wider than it is tall (covers are never auto-detected)
+ */
+const isSpreadItem = (item, width, height) => {
+  if (item.spread !== undefined && item.spread !== null) return Boolean(item.spread);
+  return item.type === 'page' && width > height;
+};
+
+/**
+ * The image itself, or with split_spreads the two halves of a spread in reading order
+ */
+const splitPageImage = async (item, buffer, { reading_direction = 'ltr', split_spreads = false }) => {
+  const metadata = await sharp(buffer).metadata();
+  const spread = isSpreadItem(item, metadata.width, metadata.height);
+
+  if (!spread || !split_spreads) {
+    return [{ buffer, width: metadata.width, height: metadata.height, spread, half: null }];
+  }
+
+  // Halves keep the encoding of the processed image
+  const format = getEncodableFormat(metadata);
+  const leftWidth = Math.floor(metadata.width / 2);
+
+  const halves = await Promise.all(SPREAD_HALVES[reading_direction].map(async (half) => {
+    const left = half === 'left' ? 0 : leftWidth;
+    const width = half === 'left' ? leftWidth : metadata.width - leftWidth;
+    const image = sharp(buffer).extract({ left, top: 0, width, height: metadata.height });
+    const halfBuffer = await encodeImage(image, format, IMAGE_QUALITY_PRESETS[format].high).toBuffer();
+    return { buffer: halfBuffer, width, height: metadata.height, spread: false, half };
+  }));
+
+  buffer.fill(0);
+  return halves;
+};
+
+/**
+ * The page image(s) an item is shown as: the image itself, or with split_spreads
+ * the two halves of a spread in reading order (right half first for rtl).
+ * With `marks`, each gets the watermark and the last page of the export the imprint
+ * (the job's compositing phase).
+ * Returns [{ buffer, width, height, spread, half }].
+ */
+const getPageImages = async (exportId, item, buffer, options = {}) => {
+  const pageImages = await splitPageImage(item, buffer, options);
+  const { marks } = options;
+  if (!marks) return pageImages;
+
+  return runCompositingStep(exportId, () => Promise.all(pageImages.map(async (pageImage, index) => {
+    const imprint = item === marks.lastItem && index === pageImages.length - 1;
+    return { ...pageImage, buffer: await applyPageMarks(pageImage.buffer, marks, { imprint }) };
+  })));
+};
+
+/**
+ * Entry name and title of one page image of an item (halves get a _left/_right suffix)
+ */
+const getPageImageNames = (item, pageImage) => {
+  if (!pageImage.half) {
+    return { name: getItemEntryName(item), title: item.title };
+  }
+  return {
+    name: `${getItemEntryName(item)}_${pageImage.half}`,
+    title: `${item.title} (${pageImage.half} half)`
+  };
+};
+
+// ============================================
+// COMICINFO.XML (ComicRack schema, read by Komga/Kavita/CDisplayEx)
+// ============================================
+/**
+ * Escape text for use inside XML/XHTML content and attributes
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Page roles for the <Pages> list, keyed by export item type
+const COMICINFO_PAGE_TYPES = {
+  comic_cover: 'FrontCover',
+  chapter_cover: 'InnerCover',
+  page: 'Story',
+  back_cover: 'BackCover'
+};
+
+// Values accepted by the ComicInfo AgeRating element
+const COMICINFO_AGE_RATINGS = [
+  'Unknown', 'Adults Only 18+', 'Early Childhood', 'Everyone', 'Everyone 10+', 'G',
+  'Kids to Adults', 'M', 'MA15+', 'Mature 17+', 'PG', 'R18+', 'Rating Pending', 'Teen', 'X18+'
+];
+
+/**
+ * Map reading_direction to the ComicInfo Manga element
+ */
+const getComicInfoManga = (readingDirection) => {
+  switch (readingDirection) {
+    case 'rtl': return 'YesAndRightToLeft';
+    case 'ltr': return 'No';
+    default: return null;
+  }
+};
+
+/**
+ * Build ComicInfo.xml from series metadata and the archived page entries
+ * (entries: [{ type, width, height, size, spread, bookmark }] in archive order)
+ */
+const buildComicInfoXml = (info, entries) => {
+  const fields = [
+    ['Title', info.title],
+    ['Series', info.series],
+    ['Number', info.number],
+    ['Volume', info.volume],
+    ['Summary', info.summary],
+    ['Writer', info.writer],
+    ['Penciller', info.artist],
+    ['PageCount', entries.length],
+    ['LanguageISO', info.language],
+    ['Manga', getComicInfoManga(info.reading_direction)],
+    ['AgeRating', COMICINFO_AGE_RATINGS.includes(info.age_rating) ? info.age_rating : null]
+  ];
+
+  const fieldLines = fields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`);
+
+  const pageLines = entries.map((entry, index) => {
+    const doublePage = entry.spread ? ' DoublePage="True"' : '';
+    const bookmark = entry.bookmark ? ` Bookmark="${escapeXml(entry.bookmark)}"` : '';
+    return `    <Page Image="${index}" Type="${COMICINFO_PAGE_TYPES[entry.type]}"${doublePage}${bookmark} ImageSize="${entry.size}" ImageWidth="${entry.width}" ImageHeight="${entry.height}"/>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${fieldLines.join('\n')}
+  <Pages>
+${pageLines.join('\n')}
+  </Pages>
+</ComicInfo>
+`;
+};
+
+// ============================================
+// STREAMED ARCHIVES
+// ============================================
+
+/**
+ * Append an entry to an archive and wait until it has been written to the output.
+ * Keeps a single page in memory at a time, and lets upload backpressure slow down downloads.
+ */
+const appendAndWait = (archive, source, data) => {
+  return new Promise((resolve, reject) => {
+    const onEntry = (entry) => {
+      if (entry.name !== data.name) return;
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+    };
+
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    archive.append(source, data);
+  });
+};
+
+// ============================================
+// CBZ GENERATION
+// ============================================
+const generateCBZ = async (exportId, items, compression, imageFormat, comicInfo, output) => {
+  const isFullHD = compression === 'fullhd';
+  
+  const archive = archiver('zip', { 
+    zlib: { level: isFullHD ? 6 : 9 }  // Good compression for both
+  });
+  archive.pipe(output);
+
+  try {
+    const downloadFn = async (url, downloadOptions, item) => {
+      const buffer = await processImageAs(url, imageFormat, compression, downloadOptions);
+      return getPageImages(exportId, item, buffer, comicInfo);
+    };
+    const pageEntries = [];
+    const manifestEntries = [];
+
+    reportPhase(exportId, 'processing');
+    reportProgress(exportId, 0, items.length);
+    let fileIndex = 0;
+
+    for await (const pageImages of downloadItems(exportId, items, downloadFn)) {
+      const item = items[fileIndex];
+      console.log(`📥 [${exportId}] ${item.label}...`);
+
+      for (const pageImage of pageImages) {
+        const { buffer, width, height, spread } = pageImage;
+        // Named after the actual encoding (Full HD without image_format keeps the original files)
+        const ext = getImageExtension(await sharp(buffer).metadata());
+        const entryName = `${String(pageEntries.length).padStart(3, '0')}_${getPageImageNames(item, pageImage).name}.${ext}`;
+        // The first image of each volume chapter is bookmarked with the chapter title
+        const previous = items[fileIndex - 1];
+        const bookmark = item.chapter && pageImage === pageImages[0] && (!previous || previous.chapter !== item.chapter)
+          ? item.chapter.title
+          : null;
+        pageEntries.push({ type: item.type, width, height, size: buffer.length, spread, bookmark });
+        manifestEntries.push(getManifestEntry({ name: entryName }, item, pageImage, buffer, width, height));
+        await appendAndWait(archive, buffer, { name: entryName });
+      }
+      reportProgress(exportId, ++fileIndex, items.length, item.title);
+    }
+
+    reportPhase(exportId, 'saving');
+    archive.append(buildComicInfoXml(comicInfo, pageEntries), { name: 'ComicInfo.xml' });
+    await archive.finalize();
+    return manifestEntries;
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+};
+
+// ============================================
+// PDF GENERATION
+// ============================================
+/**
+ * pdfkit pushes output without honouring backpressure - wait until the upload
+ * has taken what is buffered before producing the next page
+ */
+const waitForPdfDrain = async (pdfDoc, output) => {
+  while (pdfDoc.readableLength > 0 && !output.destroyed) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * pdfkit embeds JPEG and PNG data as is. CMYK and progressive JPEGs (shown as blank pages
+ * by some viewers) become baseline sRGB JPEGs; any other format is encoded as `fallbackFormat`.
+ */
+const normalizeImageForPDF = async (buffer, fallbackFormat, compression) => {
+  const { format, space, isProgressive } = await sharp(buffer).metadata();
+  if (format === 'png') return buffer;
+  if (format === 'jpeg' && !isProgressive && (space === 'srgb' || space === 'b-w')) return buffer;
+
+  const targetFormat = format === 'jpeg' ? 'jpeg' : fallbackFormat;
+  const image = sharp(buffer)
+    .toColourspace('srgb')
+    .flatten({ background: { r: 255, g: 255, b: 255 } });
+  const normalized = await encodeImage(image, targetFormat, getImageQuality(compression, targetFormat)).toBuffer();
+
+  buffer.fill(0);
+  return normalized;
+};
+
+// ---- Print profile (trim size, bleed, DPI) ----
+const POINTS_PER_INCH = 72;
+const mmToPoints = (mm) => mm / 25.4 * POINTS_PER_INCH;
+
+// Trim sizes in points
+const PRINT_TRIM_SIZES = {
+  us_comic: { width: 6.625 * POINTS_PER_INCH, height: 10.1875 * POINTS_PER_INCH },
+  manga_b6: { width: mmToPoints(128), height: mmToPoints(182) },
+  a4: { width: mmToPoints(210), height: mmToPoints(297) },
+  letter: { width: 8.5 * POINTS_PER_INCH, height: 11 * POINTS_PER_INCH }
+};
+const PRINT_FIT_MODES = ['fill', 'fit'];
+const DEFAULT_PRINT_BLEED_MM = 3.175; // 1/8 inch
+const DEFAULT_PRINT_DPI = 300;
+
+// Request schema rule (see REQUEST VALIDATION) of the `print` option of an /export request or target
+const PRINT_PROFILE_FIELD = {
+  type: 'object',
+  fields: {
+    trim_size: { type: 'string', required: true, enum: Object.keys(PRINT_TRIM_SIZES) },
+    bleed_mm: { type: 'number', min: 0, max: 25 },
+    dpi: { type: 'integer', min: 72, max: 1200 },
+    fit: { type: 'string', enum: PRINT_FIT_MODES }
+  },
+  check: (print, body, parent) => ((parent.format || 'pdf') === 'pdf' ? null : 'is only supported for PDF exports')
+};
+
+/**
+ * Page geometry of a print profile in points. The page (MediaBox/BleedBox) is the
+ * trim size plus the bleed on every side; the TrimBox is inset by the bleed.
+ * A spread is printed on one page two trims wide.
+ */
+const getPrintGeometry = ({ trim_size, bleed_mm = DEFAULT_PRINT_BLEED_MM, dpi = DEFAULT_PRINT_DPI, fit = 'fill' }, spread = false) => {
+  const trim = PRINT_TRIM_SIZES[trim_size];
+  const bleed = mmToPoints(bleed_mm);
+  const trimWidth = spread ? trim.width * 2 : trim.width;
+  return {
+    trimWidth,
+    trimHeight: trim.height,
+    bleed,
+    pageWidth: trimWidth + 2 * bleed,
+    pageHeight: trim.height + 2 * bleed,
+    dpi,
+    fit
+  };
+};
+
+/**
+ * Crop and resample an image for a print page:
+ * - fill: covers the whole page including bleed, the overflow is cropped (centered)
+ * - fit: the whole image is shown inside the trim box, centered on white
+ * Images are downscaled to the target DPI at their printed size, never upscaled.
+ * Returns the encoded image and its placement on the page in points.
+ */
+const prepareImageForPrint = async (buffer, geometry, imageFormat, compression) => {
+  const { width, height } = await sharp(buffer).metadata();
+  const toPixels = (points) => Math.max(1, Math.round(points / POINTS_PER_INCH * geometry.dpi));
+
+  let image = sharp(buffer)
+    .toColourspace('srgb')
+    .flatten({ background: { r: 255, g: 255, b: 255 } });
+  let placement;
+
+  if (geometry.fit === 'fill') {
+    const { pageWidth, pageHeight } = geometry;
+    const cropWidth = Math.min(width, Math.round(height * pageWidth / pageHeight));
+    const cropHeight = Math.min(height, Math.round(width * pageHeight / pageWidth));
+    image = image
+      .extract({
+        left: Math.floor((width - cropWidth) / 2),
+        top: Math.floor((height - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight
+      })
+      .resize(toPixels(pageWidth), toPixels(pageHeight), { fit: 'fill', withoutEnlargement: true });
+    placement = { x: 0, y: 0, width: pageWidth, height: pageHeight };
+  } else {
+    const scale = Math.min(geometry.trimWidth / width, geometry.trimHeight / height);
+    const placedWidth = width * scale;
+    const placedHeight = height * scale;
+    image = image.resize(toPixels(placedWidth), toPixels(placedHeight), { fit: 'inside', withoutEnlargement: true });
+    placement = {
+      x: geometry.bleed + (geometry.trimWidth - placedWidth) / 2,
+      y: geometry.bleed + (geometry.trimHeight - placedHeight) / 2,
+      width: placedWidth,
+      height: placedHeight
+    };
+  }
+
+  // Photographic pages stay JPEG unless PNG is asked for
+  const format = imageFormat || 'jpeg';
+  const prepared = await encodeImage(image, format, getImageQuality(compression, format)).toBuffer();
+
+  buffer.fill(0);
+  return { buffer: prepared, ...placement };
+};
+
+/**
+ * Add a print page with its TrimBox and BleedBox (pdfkit only sets the MediaBox)
+ */
+const addPrintPage = (pdfDoc, geometry) => {
+  const { pageWidth, pageHeight, bleed } = geometry;
+  pdfDoc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+  pdfDoc.page.dictionary.data.BleedBox = [0, 0, pageWidth, pageHeight];
+  pdfDoc.page.dictionary.data.TrimBox = [bleed, bleed, pageWidth - bleed, pageHeight - bleed];
+};
+
+/**
+ * pdfInfo: { title, author, subject, print, reading_direction, split_spreads } - print is an
+ * optional print profile (see PRINT_PROFILE_FIELD); without it every page is sized to its image in pixels.
+ * Like the other generators, resolves to the manifest entries of the pages it wrote.
+ */
+const generatePDF = async (exportId, items, compression, imageFormat, pdfInfo, output) => {
+  // pdfkit cannot write undefined info entries
+  const info = { Title: pdfInfo.title, Author: pdfInfo.author, Subject: pdfInfo.subject };
+  const pdfDoc = new PDFDocument({
+    autoFirstPage: false,
+    info: Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined))
+  });
+  pdfDoc.pipe(output);
+  
+  const totalItems = items.length;
+  const readingDirection = pdfInfo.reading_direction || 'ltr';
+  const downloadFn = async (url, downloadOptions, item) => {
+    // Print pages are resampled from the original image
+    const buffer = pdfInfo.print
+      ? await processImageFullHD(url, downloadOptions)
+      : await processImageAs(url, imageFormat, compression, downloadOptions);
+    const pageImages = await getPageImages(exportId, item, buffer, pdfInfo);
+
+    return Promise.all(pageImages.map(async (pageImage) => {
+      if (pdfInfo.print) {
+        const geometry = getPrintGeometry(pdfInfo.print, pageImage.spread);
+        return { ...pageImage, geometry, ...await prepareImageForPrint(pageImage.buffer, geometry, imageFormat, compression) };
+      }
+      return { ...pageImage, buffer: await normalizeImageForPDF(pageImage.buffer, imageFormat || 'png', compression) };
+    }));
+  };
+
+  if (pdfInfo.print) {
+    const print = getPrintGeometry(pdfInfo.print);
+    console.log(`🖨️ [${exportId}] Print profile: ${pdfInfo.print.trim_size}, ${print.dpi} DPI, ${print.fit}`);
+  }
+  
+  let processed = 0;
+  let hasSpreads = false;
+  const manifestEntries = [];
+  // Volume chapters get a bookmark of their own with their pages nested under it
+  let chapterOutline = null;
+  reportPhase(exportId, 'processing');
+  reportProgress(exportId, processed, totalItems);
+
+  for await (const pageImages of downloadItems(exportId, items, downloadFn)) {
+    const item = items[processed];
+    console.log(`📄 [${exportId}] ${item.title} (${++processed}/${totalItems})...`);
+
+    const previous = items[processed - 2];
+    const startsChapter = item.chapter && (!previous || previous.chapter !== item.chapter);
+
+    for (const [index, pageImage] of pageImages.entries()) {
+      // The image object is written to the output as soon as it is drawn
+      const image = pdfDoc.openImage(pageImage.buffer);
+      manifestEntries.push(getManifestEntry({ page: manifestEntries.length + 1 }, item, pageImage, pageImage.buffer, image.width, image.height));
+      if (pageImage.geometry) {
+        addPrintPage(pdfDoc, pageImage.geometry);
+        pdfDoc.image(image, pageImage.x, pageImage.y, { width: pageImage.width, height: pageImage.height });
+      } else {
+        pdfDoc.addPage({ size: [image.width, image.height], margin: 0 });
+        pdfDoc.image(image, 0, 0, { width: image.width, height: image.height });
+      }
+      // Bookmark for every cover and page
+      if (startsChapter && index === 0) {
+        chapterOutline = pdfDoc.outline.addItem(item.chapter.title);
+      }
+      const parentOutline = item.chapter ? chapterOutline : pdfDoc.outline;
+      parentOutline.addItem(getPageImageNames(item, pageImage).title);
+
+      hasSpreads = hasSpreads || pageImage.spread;
+      pageImage.buffer.fill(0);
+    }
+    
+    reportProgress(exportId, processed, totalItems, item.title);
+    await waitForPdfDrain(pdfDoc, output);
+  }
+
+  // Viewer hints (pdfkit has no API for these catalog entries): manga opens right-to-left,
+  // and two-page layout with the cover on its own keeps spreads and facing pages together
+  if (readingDirection === 'rtl') {
+    pdfDoc._root.data.ViewerPreferences = pdfDoc.ref({ Direction: 'R2L' });
+  }
+  if (readingDirection === 'rtl' || hasSpreads) {
+    pdfDoc._root.data.PageLayout = 'TwoPageRight';
+  }
+
+  console.log(`💾 [${exportId}] Saving PDF...`);
+  reportPhase(exportId, 'saving');
+  pdfDoc.end();
+  return manifestEntries;
+};
+
+// ============================================
+// EPUB GENERATION (EPUB 3 fixed layout)
+// ============================================
+
+// Image formats EPUB 3 reading systems are required to support
+const EPUB_IMAGE_TYPES = {
+  png: { ext: 'png', mediaType: 'image/png' },
+  jpeg: { ext: 'jpg', mediaType: 'image/jpeg' },
+  gif: { ext: 'gif', mediaType: 'image/gif' },
+  webp: { ext: 'webp', mediaType: 'image/webp' }
+};
+
+/**
+ * Make sure a processed image is an EPUB core media type.
+ * Returns buffer, dimensions and the extension/media type to declare in the OPF.
+ */
+const toEpubImage = async (buffer) => {
+  let metadata = await sharp(buffer).metadata();
+
+  let imageType = EPUB_IMAGE_TYPES[metadata.format];
+  if (!imageType) {
+    // Not a core media type (e.g. AVIF/TIFF) - convert to PNG
+    buffer = await sharp(buffer).png().toBuffer();
+    metadata = await sharp(buffer).metadata();
+    imageType = EPUB_IMAGE_TYPES.png;
+  }
+
+  return { buffer, width: metadata.width, height: metadata.height, ...imageType };
+};
+
+const buildEpubContainerXml = () => `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const buildEpubPageXhtml = (entry) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(entry.title)}</title>
+  <meta name="viewport" content="width=${entry.width}, height=${entry.height}"/>
+  <style>html, body { margin: 0; padding: 0; } img { display: block; width: ${entry.width}px; height: ${entry.height}px; }</style>
+</head>
+<body>
+  <img src="../images/${entry.imageName}" alt="${escapeXml(entry.title)}"/>
+</body>
+</html>
+`;
+
+/**
+ * Table of contents items; pages of volume chapters are nested under their chapter
+ */
+const buildEpubTocItems = (entries) => {
+  const lines = [];
+  let index = 0;
+
+  while (index < entries.length) {
+    const entry = entries[index];
+    if (!entry.chapter) {
+      lines.push(`      <li><a href="pages/${entry.pageName}">${escapeXml(entry.title)}</a></li>`);
+      index++;
+      continue;
+    }
+
+    const chapterEntries = [];
+    while (index < entries.length && entries[index].chapter === entry.chapter) {
+      chapterEntries.push(entries[index++]);
+    }
+    lines.push(`      <li><a href="pages/${entry.pageName}">${escapeXml(entry.chapter.title)}</a>`);
+    lines.push('        <ol>');
+    for (const chapterEntry of chapterEntries) {
+      lines.push(`          <li><a href="pages/${chapterEntry.pageName}">${escapeXml(chapterEntry.title)}</a></li>`);
+    }
+    lines.push('        </ol>');
+    lines.push('      </li>');
+  }
+
+  return lines.join('\n');
+};
+
+const buildEpubNavXhtml = (title, entries) => {
+  const tocItems = buildEpubTocItems(entries);
+
+  const firstPage = entries.find(entry => entry.type === 'page') || entries[0];
+  const landmarks = [`      <li><a epub:type="cover" href="pages/${entries[0].pageName}">Cover</a></li>`];
+  if (firstPage) {
+    landmarks.push(`      <li><a epub:type="bodymatter" href="pages/${firstPage.pageName}">Start</a></li>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(title)}</h1>
+    <ol>
+${tocItems}
+    </ol>
+  </nav>
+  <nav epub:type="landmarks" hidden="">
+    <ol>
+${landmarks.join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+};
+
+/**
+ * Spine properties of a page: spreads span both sides, halves of a split spread
+ * go on their own side (spread entries: { spread, half })
+ */
+const getEpubSpineProperties = (entry) => {
+  if (entry.spread) return 'rendition:page-spread-center';
+  if (entry.half) return `page-spread-${entry.half}`;
+  return null;
+};
+
+const buildEpubOpf = (identifier, title, language, entries, readingDirection = 'ltr') => {
+  // dcterms:modified must be CCYY-MM-DDThh:mm:ssZ (no milliseconds)
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const manifestItems = ['    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>'];
+  for (const [index, entry] of entries.entries()) {
+    const coverProperty = index === 0 ? ' properties="cover-image"' : '';
+    manifestItems.push(`    <item id="img_${entry.id}" href="images/${entry.imageName}" media-type="${entry.mediaType}"${coverProperty}/>`);
+    manifestItems.push(`    <item id="page_${entry.id}" href="pages/${entry.pageName}" media-type="application/xhtml+xml"/>`);
+  }
+
+  const spineItems = entries.map(entry => {
+    const properties = getEpubSpineProperties(entry);
+    return `    <itemref idref="page_${entry.id}"${properties ? ` properties="${properties}"` : ''}/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">auto</meta>
+    <meta name="cover" content="img_${entries[0].id}"/>
+  </metadata>
+  <manifest>
+${manifestItems.join('\n')}
+  </manifest>
+  <spine page-progression-direction="${readingDirection}">
+${spineItems.join('\n')}
+  </spine>
+</package>
+`;
+};
+
+const generateEPUB = async (exportId, items, compression, imageFormat, bookInfo, output) => {
+  const isFullHD = compression === 'fullhd';
+  const title = bookInfo.title || 'Untitled';
+  const language = bookInfo.language || 'en';
+
+  if (items.length === 0) {
+    throw new Error('No images to export');
+  }
+
+  const archive = archiver('zip', {
+    zlib: { level: isFullHD ? 6 : 9 }
+  });
+  archive.pipe(output);
+
+  try {
+    // The mimetype entry must come first and be stored uncompressed
+    archive.append('application/epub+zip', { name: 'mimetype', store: true });
+    archive.append(buildEpubContainerXml(), { name: 'META-INF/container.xml' });
+
+    const entries = [];
+    const manifestEntries = [];
+    const downloadFn = async (url, downloadOptions, item) => {
+      const buffer = await processImageAs(url, imageFormat, compression, downloadOptions);
+      const pageImages = await getPageImages(exportId, item, buffer, bookInfo);
+      return Promise.all(pageImages.map(async (pageImage) => ({ ...pageImage, ...await toEpubImage(pageImage.buffer) })));
+    };
+
+    reportPhase(exportId, 'processing');
+    reportProgress(exportId, 0, items.length);
+    let fileIndex = 0;
+
+    for await (const pageImages of downloadItems(exportId, items, downloadFn)) {
+      const item = items[fileIndex];
+      console.log(`📥 [${exportId}] ${item.label}...`);
+
+      for (const image of pageImages) {
+        const names = getPageImageNames(item, image);
+        const id = `${String(entries.length).padStart(3, '0')}_${names.name}`;
+        const entry = {
+          id,
+          type: item.type,
+          title: names.title,
+          imageName: `${id}.${image.ext}`,
+          pageName: `${id}.xhtml`,
+          mediaType: image.mediaType,
+          width: image.width,
+          height: image.height,
+          spread: image.spread,
+          half: image.half,
+          chapter: item.chapter || null
+        };
+
+        const imagePath = `OEBPS/images/${entry.imageName}`;
+        manifestEntries.push(getManifestEntry({ name: imagePath }, item, image, image.buffer, image.width, image.height));
+        await appendAndWait(archive, image.buffer, { name: imagePath });
+        archive.append(buildEpubPageXhtml(entry), { name: `OEBPS/pages/${entry.pageName}` });
+        entries.push(entry);
+      }
+      reportProgress(exportId, ++fileIndex, items.length, item.title);
+    }
+
+    archive.append(buildEpubNavXhtml(title, entries), { name: 'OEBPS/nav.xhtml' });
+    archive.append(buildEpubOpf(`urn:comic-export:${exportId}`, title, language, entries, bookInfo.reading_direction), { name: 'OEBPS/content.opf' });
+
+    console.log(`💾 [${exportId}] Saving EPUB...`);
+    reportPhase(exportId, 'saving');
+    await archive.finalize();
+    return manifestEntries;
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+};
+
+// ============================================
+// UPLOAD (chapter exports and longstrips)
+// ============================================
+const uploadExportFile = async (exportId, fileBuffer, folder, fileName, mimeType, storageOptions = {}) => {
+  const storage = getStorage(storageOptions);
+  const storagePath = buildStoragePath(storageOptions.prefix, folder, fileName);
+
+  const url = await storage.upload(storagePath, fileBuffer, mimeType);
+  metrics.uploadedBytes.inc({ driver: storage.name }, fileBuffer.length);
+
+  console.log(`☁️ [${exportId}] Uploaded to ${storage.name}: ${storagePath}`);
+  
+  return { url, size: fileBuffer.length, sha256: sha256(fileBuffer) };
+};
+
+/**
+ * Generate a file straight into storage without holding it in memory.
+ * `generate(output)` writes the file into `output` while the storage driver consumes it.
+ */
+const uploadExportStream = async (exportId, folder, fileName, mimeType, storageOptions, generate) => {
+  const storage = getStorage(storageOptions);
+  const storagePath = buildStoragePath(storageOptions.prefix, folder, fileName);
+
+  let size = 0;
+  const hash = crypto.createHash('sha256');
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  // Failures reach the caller through generate() or the upload promise; without a listener
+  // an error emitted after the storage driver stopped listening would crash the process
+  output.on('error', () => {});
+
+  const upload = storage.uploadStream(storagePath, output, mimeType);
+  // Once the file is fully generated only the rest of the upload is left
+  const generated = generate(output).then(() => reportPhase(exportId, 'uploading'));
+
+  try {
+    await Promise.all([generated, upload]);
+  } catch (error) {
+    // Fails the upload too, so no partial file is stored
+    output.destroy(error);
+    upload.catch(() => {});
+    throw error;
+  }
+
+  const url = await upload;
+  metrics.uploadedBytes.inc({ driver: storage.name }, size);
+  console.log(`☁️ [${exportId}] Uploaded to ${storage.name}: ${storagePath}`);
+
+  return { url, size, sha256: hash.digest('hex') };
+};
+
+// ============================================
+// EXPORT MANIFESTS
+// ============================================
+// Every artifact gets a JSON manifest stored next to it (<file name>.json, <base name>.json for longstrips)
+// with the whole-file checksum, the render options and one entry per image in the file.
+
+/**
+ * Manifest entry of one page image: where it is in the file (`{ name }` in an archive,
+ * `{ page }` in a PDF), which source it came from, its pixel size, byte size and checksum
+ */
+const getManifestEntry = (location, item, pageImage, buffer, width, height) => ({
+  ...location,
+  source_url: item.url,
+  type: item.type,
+  ...(item.page_number !== undefined ? { page_number: item.page_number } : {}),
+  ...(item.chapter ? { chapter_number: item.chapter.number } : {}),
+  ...(pageImage.half ? { half: pageImage.half } : {}),
+  width,
+  height,
+  size: buffer.length,
+  sha256: sha256(buffer)
+});
+
+/**
+ * Store a manifest next to its file. Resolves to the manifest URL.
+ * `file` is { name, url, size, sha256 }, `extra` holds route-specific fields.
+ */
+const uploadManifest = async (exportId, folder, manifestName, storageOptions, { route, file, options, entries, extra = {} }) => {
+  const manifest = {
+    export_id: exportId,
+    route,
+    created_at: new Date().toISOString(),
+    file,
+    options,
+    ...extra,
+    entries
+  };
+
+  const result = await uploadExportFile(exportId, Buffer.from(JSON.stringify(manifest, null, 2)), folder, manifestName, 'application/json', storageOptions);
+  return result.url;
+};
+
+// ============================================
+// AUTHENTICATION AND TENANTS
+// ============================================
+// TENANTS_FILE: JSON { "tenants": [{ id, api_keys, routes, rate_limit_per_minute,
+//   max_concurrent_jobs, daily_pages, daily_bytes, admin, disabled }] } (limits left out are unlimited).
+// Requests send `Authorization: Bearer <api key or JWT>` or `X-API-Key: <api key>`.
+// JWTs are HS256-signed with JWT_SECRET and name their tenant in the `tenant` (or `sub`) claim.
+// Without TENANTS_FILE the API stays open to every caller.
+
+const TENANTS_FILE = process.env.TENANTS_FILE || '';
+const JWT_SECRET = process.env.JWT_SECRET || '';
+// Route name of each job-creating endpoint, as listed in a tenant's `routes`
+const TENANT_ROUTES = { export: '/export', longstrip: '/export-longstrip' };
+
+// A broken tenants file stops the service rather than leaving the API open
+const loadTenants = () => {
+  if (!TENANTS_FILE) return new Map();
+  const { tenants = [] } = JSON.parse(fs.readFileSync(TENANTS_FILE, 'utf8'));
+  return new Map(tenants.map(tenant => [tenant.id, tenant]));
+};
+
+const tenants = loadTenants();
+const authEnabled = tenants.size > 0;
+
+// sha256(api key) → tenant id
+const apiKeyTenants = new Map();
+for (const tenant of tenants.values()) {
+  for (const apiKey of tenant.api_keys || []) {
+    apiKeyTenants.set(sha256(apiKey), tenant.id);
+  }
+}
+
+/**
+ * Verify an HS256 JWT and return its claims (throws with the reason it is not valid)
+ */
+const verifyJwt = (token) => {
+  const [header, payload, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest();
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error('bad signature');
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+      throw new Error('unsupported algorithm');
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw new Error(error.message === 'unsupported algorithm' ? error.message : 'malformed token');
+  }
+
+  const now = Date.now() / 1000;
+  if (claims.exp !== undefined && claims.exp < now) throw new Error('token expired');
+  if (claims.nbf !== undefined && claims.nbf > now) throw new Error('token not valid yet');
+  return claims;
+};
+
+// Daily usage per tenant (UTC days), kept for USAGE_KEEP_DAYS
+const USAGE_KEEP_DAYS = parseInt(process.env.USAGE_KEEP_DAYS, 10) || 31;
+
+const getUsageDate = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+class UsageStore extends JsonFileStore {
+  constructor(filePath) {
+    super(filePath, 'usage store', 'usage');
+  }
+
+  prune() {
+    const oldest = getUsageDate(Date.now() - USAGE_KEEP_DAYS * 24 * 60 * 60 * 1000);
+    for (const [id, record] of this.records) {
+      if (record.date < oldest) this.records.delete(id);
+    }
+  }
+
+  /**
+   * Today's counters of a tenant: { jobs, pages, bytes, rejected }
+   */
+  today(tenantId) {
+    const date = getUsageDate();
+    const id = `${tenantId}:${date}`;
+    if (!this.records.has(id)) {
+      this.records.set(id, { id, tenant: tenantId, date, jobs: 0, pages: 0, bytes: 0, rejected: 0 });
+    }
+    return this.records.get(id);
+  }
+
+  add(tenantId, counts) {
+    const record = this.today(tenantId);
+    for (const [name, value] of Object.entries(counts)) {
+      record[name] += value;
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Daily records of a tenant, newest first
+   */
+  list(tenantId) {
+    return [...this.records.values()]
+      .filter(record => record.tenant === tenantId)
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+}
+
+const usageStore = new UsageStore(process.env.USAGE_STORE_PATH || path.join(__dirname, 'data', 'usage.json'));
+
+// Token bucket per tenant: refills rate_limit_per_minute tokens a minute, holds at most that many
+const rateLimitBuckets = new Map(); // tenant id → { tokens, updatedAt }
+
+/**
+ * Take one request from a tenant's rate limit. Returns 0 when allowed,
+ * otherwise the number of seconds until the next request is.
+ */
+const takeRateLimitToken = (tenant) => {
+  const limit = tenant.rate_limit_per_minute;
+  if (!limit) return 0;
+
+  const now = Date.now();
+  const bucket = rateLimitBuckets.get(tenant.id) || { tokens: limit, updatedAt: now };
+  bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / 60000);
+  bucket.updatedAt = now;
+  rateLimitBuckets.set(tenant.id, bucket);
+
+  if (bucket.tokens < 1) {
+    return Math.ceil((1 - bucket.tokens) * 60 / limit);
+  }
+  bucket.tokens -= 1;
+  return 0;
+};
+
+const rejectRequest = (res, status, error, headers = {}) => {
+  res.set(headers);
+  return res.status(status).json({ success: false, error });
+};
+
+/**
+ * Resolve the tenant of a request into req.tenant (401 without valid credentials,
+ * 403 for an unknown or disabled tenant). Does nothing while no tenants are configured.
+ */
+const authenticate = (req, res, next) => {
+  if (!authEnabled) return next();
+
+  const authorization = req.get('authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('x-api-key');
+  if (!token) {
+    return rejectRequest(res, 401, 'Missing API key or bearer token', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  let tenantId;
+  if (JWT_SECRET && token.split('.').length === 3) {
+    try {
+      const claims = verifyJwt(token);
+      tenantId = claims.tenant || claims.sub;
+    } catch (error) {
+      return rejectRequest(res, 401, `Invalid token: ${error.message}`, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+    }
+  } else {
+    tenantId = apiKeyTenants.get(sha256(token));
+    if (!tenantId) {
+      return rejectRequest(res, 401, 'Invalid API key', { 'WWW-Authenticate': 'Bearer' });
+    }
+  }
+
+  const tenant = tenants.get(tenantId);
+  if (!tenant || tenant.disabled) {
+    return rejectRequest(res, 403, `Tenant ${tenantId} is not allowed to use this service`);
+  }
+
+  req.tenant = tenant;
+  next();
+};
+
+/**
+ * Middleware for job-creating endpoints: the tenant must be allowed the route
+ * and within its rate limit
+ */
+const authorizeRoute = (route) => (req, res, next) => {
+  const { tenant } = req;
+  if (!tenant) return next();
+
+  if (tenant.routes && !tenant.routes.includes(route)) {
+    return rejectRequest(res, 403, `Tenant ${tenant.id} may not use ${TENANT_ROUTES[route]}`);
+  }
+
+  const retryAfter = takeRateLimitToken(tenant);
+  if (retryAfter > 0) {
+    usageStore.add(tenant.id, { rejected: 1 });
+    return rejectRequest(res, 429, `Rate limit of ${tenant.rate_limit_per_minute} requests per minute exceeded`, { 'Retry-After': String(retryAfter) });
+  }
+  next();
+};
+
+// Only admin tenants (or anyone while auth is off) may use service-wide endpoints
+const requireAdmin = (req, res, next) => {
+  if (req.tenant && !req.tenant.admin) {
+    return rejectRequest(res, 403, 'This endpoint is only available to admin tenants');
+  }
+  next();
+};
+
+const canAccessJob = (req, job) => !req.tenant || req.tenant.admin || job.tenant === req.tenant.id;
+
+// Jobs still holding a slot of their tenant's max_concurrent_jobs
+const getActiveJobCount = (tenantId) => {
+  return jobStore.list({ tenant: tenantId, limit: Infinity })
+    .filter(job => !FINISHED_JOB_STATES.includes(job.state))
+    .length;
+};
+
+/**
+ * Check a new job against its tenant's concurrency cap and daily quotas, then count it.
+ * Sends a 429 and returns false when it is over a limit.
+ */
+const admitTenantJob = (req, res, pages) => {
+  const { tenant } = req;
+  if (!tenant) return true;
+
+  const today = usageStore.today(tenant.id);
+  const reject = (error, retryAfter) => {
+    usageStore.add(tenant.id, { rejected: 1 });
+    rejectRequest(res, 429, error, { 'Retry-After': String(retryAfter) });
+    return false;
+  };
+  const secondsUntilTomorrow = () => {
+    const tomorrow = new Date(`${getUsageDate()}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+    return Math.ceil((tomorrow - Date.now()) / 1000);
+  };
+
+  if (tenant.max_concurrent_jobs && getActiveJobCount(tenant.id) >= tenant.max_concurrent_jobs) {
+    return reject(`Tenant ${tenant.id} already has ${tenant.max_concurrent_jobs} exports queued or running`, 30);
+  }
+  if (tenant.daily_pages && today.pages + pages > tenant.daily_pages) {
+    return reject(`Daily page quota of ${tenant.daily_pages} reached (${today.pages} used, ${pages} requested)`, secondsUntilTomorrow());
+  }
+  if (tenant.daily_bytes && today.bytes >= tenant.daily_bytes) {
+    return reject(`Daily quota of ${tenant.daily_bytes} bytes reached`, secondsUntilTomorrow());
+  }
+
+  usageStore.add(tenant.id, { jobs: 1, pages });
+  return true;
+};
+
+/**
+ * Bytes a finished job stored (every artifact of a multi-target export)
+ */
+const getJobOutputBytes = (output) => {
+  if (!output) return 0;
+  if (output.outputs) {
+    return output.outputs.reduce((sum, target) => sum + (target.size || 0), 0);
+  }
+  return output.size || 0;
+};
+
+/**
+ * Usage counters and limits of a tenant, as returned by GET /usage
+ */
+const getTenantUsage = (tenant) => {
+  const { id, rate_limit_per_minute = null, max_concurrent_jobs = null, daily_pages = null, daily_bytes = null } = tenant;
+  return {
+    tenant: id,
+    limits: { rate_limit_per_minute, max_concurrent_jobs, daily_pages, daily_bytes },
+    active_jobs: getActiveJobCount(id),
+    today: usageStore.today(id),
+    days: usageStore.list(id)
+  };
+};
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+// A request schema maps body fields to rules:
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array', or a list of them
+//   required  true, or a function of the whole body (required strings must not be blank)
+//   enum, min, max, minItems
+//   format    'url' (checked against the URL policy) or 'hex_color'
+//   fields    schema of an object's fields (or object => schema, when it depends on the object)
+//   items     rule of each array element
+//   unique    { by: element => key, label } for keys that must not repeat in an array
+//   check     (value, body, parent) => error message or null, for anything else
+//             (parent: the object or array holding the value)
+// Fields a schema does not list are left alone. null counts as not set.
+
+const SCHEMA_TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Check one value against its rule, adding { field, message } entries to errors
+ */
+const checkSchemaField = (value, rule, field, body, errors, parent = body) => {
+  const fail = (message, at = field) => errors.push({ field: at, message });
+
+  if (value === undefined || value === null) {
+    const required = typeof rule.required === 'function' ? rule.required(body) : rule.required;
+    if (required) fail('is required');
+    return;
+  }
+
+  const types = [].concat(rule.type || []);
+  if (types.length > 0 && !types.some(type => SCHEMA_TYPE_CHECKS[type](value))) {
+    return fail(`must be of type ${types.join(' or ')}`);
+  }
+  if (typeof value === 'string' && rule.required && value.trim() === '') {
+    return fail('must not be empty');
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of ${rule.enum.join(', ')}`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return fail(`must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fail(`must be at most ${rule.max}`);
+  }
+  if (rule.format === 'hex_color' && !HEX_COLOR_PATTERN.test(value)) {
+    return fail('must be a hex color such as #0a0a0f');
+  }
+  if (rule.format === 'url') {
+    const problem = getUrlPolicyError(value);
+    if (problem) return fail(problem);
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return fail(`must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+  }
+
+  if (rule.fields) {
+    const fields = typeof rule.fields === 'function' ? rule.fields(value) : rule.fields;
+    checkSchemaFields(value, fields, `${field}.`, body, errors);
+  }
+  if (rule.items) {
+    value.forEach((item, index) => checkSchemaField(item, rule.items, `${field}[${index}]`, body, errors, value));
+  }
+  if (rule.unique) {
+    const seen = new Map();
+    value.forEach((item, index) => {
+      if (!item || typeof item !== 'object') return;
+      const key = rule.unique.by(item);
+      if (seen.has(key)) {
+        fail(`${rule.unique.label} ${key} is already used by ${field}[${seen.get(key)}]`, `${field}[${index}]`);
+      } else {
+        seen.set(key, index);
+      }
+    });
+  }
+  if (rule.check) {
+    const problem = rule.check(value, body, parent);
+    if (problem) fail(problem);
+  }
+};
+
+const checkSchemaFields = (object, schema, prefix, body, errors) => {
+  for (const [name, rule] of Object.entries(schema)) {
+    checkSchemaField(object[name], rule, `${prefix}${name}`, body, errors, object);
+  }
+};
+
+/**
+ * Check a request body against a schema.
+ * Returns a list of { field, message }, empty when the body is valid.
+ */
+const validateSchema = (body, schema) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'must be a JSON object' }];
   }
-}
+  const errors = [];
+  checkSchemaFields(body, schema, '', body, errors);
+  return errors;
+};
 
-const exportQueue = new ExportQueue(2);
+/**
+ * 400 response listing every field error
+ */
+const rejectInvalidRequest = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    error: `Invalid request: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+    errors
+  });
+};
 
-// ============================================
-// SUPABASE CLIENT
-// ============================================
-const getSupabaseClient = () => {
-  return createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-  );
+// Rules shared by both routes
+const URL_FIELD = { type: 'string', format: 'url' };
+const SHARED_REQUEST_FIELDS = {
+  storage: STORAGE_OPTIONS_FIELD,
+  priority: { type: 'string', enum: QUEUE_PRIORITIES },
+  force: { type: 'boolean' },
+  ...MARK_FIELDS
 };
 
 // ============================================
-// STATUS UPDATE
+// REPEATED REQUESTS (Idempotency-Key and exportId)
 // ============================================
-const updateExportStatus = async (exportId, status, data = {}) => {
-  try {
-    const response = await fetch(
-      'https://comicreate-5f5892c3.base44.app/api/functions/updateExportStatus',
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ export_id: exportId, status, ...data })
-      }
-    );
-    
-    if (!response.ok) {
-      console.error('Failed to update status:', await response.text());
-    } else {
-      console.log(`✅ [${exportId}] Status: ${status}`);
+// A POST with the Idempotency-Key header of an earlier one (same tenant, within IDEMPOTENCY_TTL_HOURS)
+// returns the job that request created. Without the header, a POST for an export that is still
+// waiting or running, or that completed from the same body, returns that job instead of rendering again.
+
+const IDEMPOTENCY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+/**
+ * Hash of a job-creating request, to tell a retry from a different request
+ */
+const getRequestHash = (route, body) => sha256(stableStringify({ route, body }));
+
+/**
+ * Check whether a POST repeats an earlier one.
+ * Returns { job } to answer with, { conflict } for a 409, or {} when a new job should be created.
+ */
+const findRepeatedJob = (req, route, exportId) => {
+  const tenant = req.tenant ? req.tenant.id : null;
+  const requestHash = getRequestHash(route, req.body);
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey) {
+    const cutoff = Date.now() - IDEMPOTENCY_TTL_MS;
+    const keyed = [...jobStore.records.values()].find(job =>
+      job.idempotency_key === idempotencyKey && job.tenant === tenant && Date.parse(job.created_at) >= cutoff);
+    if (keyed) {
+      return keyed.request_hash === requestHash
+        ? { job: keyed }
+        : { conflict: 'Idempotency-Key was already used for a different request' };
     }
-  } catch (error) {
-    console.error(`❌ [${exportId}] Error updating status:`, error.message);
   }
+
+  const existing = jobStore.get(exportId);
+  if (!existing) return {};
+  if (existing.tenant !== tenant) {
+    return { conflict: `Export id ${exportId} is already in use` };
+  }
+
+  const sameRequest = existing.request_hash === requestHash;
+  if (RESUMABLE_JOB_STATES.includes(existing.state)) {
+    return sameRequest ? { job: existing } : { conflict: `Export ${exportId} is already ${existing.state} with a different request` };
+  }
+  // Failed, cancelled, changed or forced exports render again
+  return existing.state === 'completed' && sameRequest && !req.body.force ? { job: existing } : {};
+};
+
+/**
+ * Answer a repeated POST with the job it repeats (`idField` is the route's name for the export id)
+ */
+const respondWithRepeatedJob = (res, job, idField) => {
+  console.log(`🔁 [${job.id}] Repeated request, returning the ${job.state} export`);
+  res.json({
+    success: true,
+    message: `Export already ${job.state}`,
+    [idField]: job.id,
+    repeated: true,
+    state: job.state,
+    queuePosition: exportQueue.getPosition(job.id) || 0,
+    ...(job.output ? { output: formatOutput(job.output) } : {})
+  });
 };
 
 // ============================================
-// IMAGE PROCESSING
+// MAIN EXPORT ENDPOINT
 // ============================================
 
-// For COMPRESSED mode - resize and keep as optimized PNG
-const processImageCompressed = async (url) => {
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`Failed to download: ${url}`);
-  
-  const inputBuffer = Buffer.from(await response.arrayBuffer());
-  
-  // Resize and compress as PNG
-  const processed = await sharp(inputBuffer)
-    .flatten({ background: { r: 255, g: 255, b: 255 } })
-    .resize(1600, 1600, { fit: 'inside', withoutEnlargement: true })
-    .png({ compressionLevel: 9, palette: true }) // High compression PNG
-    .toBuffer();
-  
-  console.log(`   Compressed: ${(inputBuffer.length/1024).toFixed(0)}KB → ${(processed.length/1024).toFixed(0)}KB`);
-  
-  inputBuffer.fill(0);
-  return processed;
+// image_format values each /export format can hold
+const EXPORT_IMAGE_FORMATS = {
+  cbz: ['webp', 'avif', 'jpeg', 'png'],
+  epub: ['jpeg', 'png', 'webp'],
+  pdf: ['jpeg', 'png']
 };
 
-// For FULL HD mode - keep original images AS-IS (no processing = no bloat)
-const processImageFullHD = async (url) => {
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`Failed to download: ${url}`);
-  
-  const buffer = Buffer.from(await response.arrayBuffer());
-  console.log(`   Full HD: ${(buffer.length/1024).toFixed(0)}KB (original)`);
-  
-  return buffer;
-};
+// Formats an entry of /export `targets` can have (a longstrip stacks the chapter pages)
+const EXPORT_TARGET_FORMATS = [...Object.keys(EXPORT_IMAGE_FORMATS), 'longstrip'];
 
-// Download original without any processing (fallback)
-const downloadImageOriginal = async (url) => {
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`Failed to download: ${url}`);
-  return Buffer.from(await response.arrayBuffer());
+/**
+ * File extension and MIME type for an /export format (defaults to PDF)
+ */
+const getFormatFileInfo = (format) => {
+  switch (format) {
+    case 'cbz': return { extension: 'cbz', mimeType: 'application/zip' };
+    case 'epub': return { extension: 'epub', mimeType: 'application/epub+zip' };
+    default: return { extension: 'pdf', mimeType: 'application/pdf' };
+  }
 };
 
-// ============================================
-// CBZ GENERATION
-// ============================================
-const generateCBZ = async (exportId, pages, covers, compression) => {
-  const isFullHD = compression === 'fullhd';
-  const chunks = [];
-  
-  const archive = archiver('zip', { 
-    zlib: { level: isFullHD ? 6 : 9 }  // Good compression for both
-  });
+/**
+ * Request value made safe for a file name (anything but letters and digits becomes _)
+ */
+const sanitizeNamePart = (value) => String(value).replace(/[^a-zA-Z0-9]/g, '_');
 
-  archive.on('data', chunk => chunks.push(chunk));
+/**
+ * Items, file name part and titles of an /export job: a single chapter,
+ * or a volume when the payload has `chapters`
+ */
+const getExportContent = (payload) => {
+  const { comicName, chapterNumber, pages, covers, chapters, volumeNumber, volumeTitle } = payload;
 
-  return new Promise(async (resolve, reject) => {
-    archive.on('error', reject);
-    archive.on('end', () => {
-      resolve(Buffer.concat(chunks));
-    });
+  if (!chapters) {
+    return {
+      items: getExportItems(pages, covers),
+      namePart: `Ch${sanitizeNamePart(chapterNumber)}`,
+      title: `${comicName} - Chapter ${chapterNumber}`,
+      subject: `${comicName}, Chapter ${chapterNumber}`
+    };
+  }
 
-    try {
-      let fileIndex = 0;
-      const downloadFn = isFullHD ? processImageFullHD : processImageCompressed;
-      const ext = 'png'; // Always PNG for best compatibility
-
-      // Comic cover (from covers object)
-      if (covers.comic_cover) {
-        console.log(`📥 [${exportId}] Comic cover...`);
-        const buffer = await downloadFn(covers.comic_cover);
-        archive.append(buffer, { name: `${String(fileIndex).padStart(3, '0')}_comic_cover.${ext}` });
-        fileIndex++;
-      }
+  const first = chapters[0].chapterNumber;
+  const last = chapters[chapters.length - 1].chapterNumber;
+  const chapterRange = chapters.length === 1 ? `Chapter ${first}` : `Chapters ${first}-${last}`;
+  const hasVolumeNumber = volumeNumber !== undefined && volumeNumber !== null;
+  const volumeName = hasVolumeNumber ? `${comicName} - Volume ${volumeNumber}` : `${comicName} - ${chapterRange}`;
 
-      // Chapter cover (from covers object OR page 0)
-      if (covers.chapter_cover) {
-        console.log(`📥 [${exportId}] Chapter cover...`);
-        const buffer = await downloadFn(covers.chapter_cover);
-        archive.append(buffer, { name: `${String(fileIndex).padStart(3, '0')}_chapter_cover.${ext}` });
-        fileIndex++;
-      }
+  return {
+    items: getVolumeItems(chapters, covers),
+    namePart: hasVolumeNumber ? `Vol${sanitizeNamePart(volumeNumber)}` : `Ch${sanitizeNamePart(first)}-${sanitizeNamePart(last)}`,
+    title: volumeTitle || volumeName,
+    subject: `${volumeName}, ${chapterRange}`
+  };
+};
 
-      // Page 0 is the chapter cover if not already added via covers.chapter_cover
-      const page0 = pages.find(p => p.page_number === 0);
-      if (page0 && page0.image_url && !covers.chapter_cover) {
-        console.log(`📥 [${exportId}] Page 0 (chapter cover)...`);
-        const buffer = await downloadFn(page0.image_url);
-        archive.append(buffer, { name: `${String(fileIndex).padStart(3, '0')}_chapter_cover.${ext}` });
-        fileIndex++;
-      }
+/**
+ * Output targets of an /export job: `targets`, or the single format of the request
+ */
+const getExportTargets = (payload) => {
+  if (payload.targets) return payload.targets;
+  const { format, compression, image_format, print } = payload;
+  return [{ format: EXPORT_IMAGE_FORMATS[format] ? format : 'pdf', compression, image_format, print }];
+};
 
-      // Regular pages (page_number > 0)
-      const regularPages = pages.filter(p => p.page_number > 0 && p.image_url).sort((a, b) => a.page_number - b.page_number);
-      
-      for (const page of regularPages) {
-        console.log(`📥 [${exportId}] Page ${page.page_number}/${regularPages.length}...`);
-        const buffer = await downloadFn(page.image_url);
-        archive.append(buffer, { name: `${String(fileIndex).padStart(3, '0')}_page_${page.page_number}.${ext}` });
-        fileIndex++;
-      }
+// Request schema rules (see REQUEST VALIDATION) of the output options of /export.
+// image_format depends on the format of the request or target it is in.
+const EXPORT_IMAGE_FORMAT_FIELD = {
+  type: 'string',
+  check: (imageFormat, body, parent) => {
+    const format = EXPORT_IMAGE_FORMATS[parent.format] ? parent.format : 'pdf';
+    const allowed = EXPORT_IMAGE_FORMATS[format];
+    return allowed.includes(imageFormat) ? null : `must be one of ${allowed.join(', ')} for ${format.toUpperCase()}`;
+  }
+};
+const EXPORT_TARGET_FIELDS = {
+  format: { type: 'string', required: true, enum: EXPORT_TARGET_FORMATS },
+  compression: { type: 'string', enum: COMPRESSION_MODES },
+  image_format: EXPORT_IMAGE_FORMAT_FIELD,
+  print: PRINT_PROFILE_FIELD
+};
+// Longstrip targets take the longstrip layout options instead (LONGSTRIP_TARGET_FIELDS)
+const EXPORT_TARGETS_FIELD = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    fields: target => (target.format === 'longstrip' ? LONGSTRIP_TARGET_FIELDS : EXPORT_TARGET_FIELDS)
+  },
+  // Identical targets would overwrite each other's file (a missing compression renders as medium)
+  unique: { by: target => stableStringify({ ...target, compression: target.compression || 'medium' }), label: 'target' }
+};
 
-      // Back cover
-      if (covers.back_cover) {
-        console.log(`📥 [${exportId}] Back cover...`);
-        const buffer = await downloadFn(covers.back_cover);
-        archive.append(buffer, { name: `${String(fileIndex).padStart(3, '0')}_back_cover.${ext}` });
-      }
+/**
+ * Render one output target of an /export job and upload it with its manifest.
+ * Resolves to { url, size, sha256, manifest_url }.
+ */
+const renderExportTarget = async (payload, content, target, pageOptions) => {
+  const { exportId, comicName, chapterNumber, metadata = {}, storage = {} } = payload;
+  // Requests without a compression mode render (and name their file) as medium
+  const { format, compression = 'medium', image_format: imageFormat, print } = target;
+  const { items, namePart, title, subject } = content;
+  const sanitizedName = sanitizeNamePart(comicName);
 
-      archive.finalize();
-    } catch (error) {
-      reject(error);
+  if (format === 'longstrip') {
+    // The chapter images stacked in reading order, without the comic and back covers
+    const panels = items
+      .filter(item => item.type === 'page' || item.type === 'chapter_cover')
+      .map((item, index) => ({ panel_number: index + 1, image_url: item.url }));
+    return renderLongstrip(exportId, panels, { ...target, compression_mode: compression }, `${sanitizedName}_${namePart}_longstrip_${compression}`, storage, pageOptions.marks);
+  }
+
+  const { extension: fileExtension, mimeType } = getFormatFileInfo(format);
+  // Filename based on comic + chapter/volume + compression + image format + print trim (no timestamp = overwrites previous)
+  const formatSuffix = imageFormat ? `_${imageFormat}` : '';
+  const printSuffix = print ? `_print_${print.trim_size}` : '';
+  const fileName = `${sanitizedName}_${namePart}_${compression}${formatSuffix}${printSuffix}.${fileExtension}`;
+
+  // The file is streamed into storage while pages are downloaded
+  const generate = (output) => {
+    if (format === 'cbz') {
+      return generateCBZ(exportId, items, compression, imageFormat, {
+        ...metadata,
+        ...pageOptions,
+        title: payload.chapters ? title : metadata.title,
+        series: comicName,
+        number: payload.chapters ? undefined : chapterNumber,
+        volume: payload.volumeNumber
+      }, output);
     }
+    if (format === 'epub') {
+      return generateEPUB(exportId, items, compression, imageFormat, {
+        ...pageOptions,
+        title,
+        language: metadata.language
+      }, output);
+    }
+    return generatePDF(exportId, items, compression, imageFormat, {
+      title,
+      author: [metadata.writer, metadata.artist].filter(Boolean).join(', ') || undefined,
+      subject: metadata.summary || subject,
+      print,
+      ...pageOptions
+    }, output);
+  };
+  let entries;
+  const result = await uploadExportStream(exportId, 'exports', fileName, mimeType, storage, async (output) => {
+    entries = await generate(output);
   });
-};
 
-// ============================================
-// PDF GENERATION
-// ============================================
-const generatePDF = async (exportId, pages, covers, compression) => {
-  const pdfDoc = await PDFDocument.create();
-  const isFullHD = compression === 'fullhd';
-  
-  // Count total items for progress
-  const page0 = pages.find(p => p.page_number === 0);
-  const regularPages = pages.filter(p => p.page_number > 0 && p.image_url).sort((a, b) => a.page_number - b.page_number);
-  
-  let totalItems = regularPages.length;
-  if (covers.comic_cover) totalItems++;
-  if (covers.chapter_cover || page0) totalItems++;
-  if (covers.back_cover) totalItems++;
-  
-  let processed = 0;
+  const fileSizeMB = result.size / 1024 / 1024;
+  console.log(`📦 [${exportId}] Generated: ${fileSizeMB.toFixed(2)} MB (${compression})`);
 
-  const addImageToPdf = async (imageUrl, label) => {
-    console.log(`📄 [${exportId}] ${label} (${++processed}/${totalItems})...`);
-    
-    let imageBuffer;
-    
-    if (isFullHD) {
-      imageBuffer = await processImageFullHD(imageUrl);
-    } else {
-      imageBuffer = await processImageCompressed(imageUrl);
-    }
-    
-    // Always use embedPng since JPEG was causing blank pages
-    const image = await pdfDoc.embedPng(imageBuffer);
-    
-    const page = pdfDoc.addPage([image.width, image.height]);
-    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
-    
-    imageBuffer.fill(0);
+  const manifestUrl = await uploadManifest(exportId, 'exports', `${fileName}.json`, storage, {
+    route: 'export',
+    file: { name: fileName, ...result },
+    options: {
+      ...target,
+      reading_direction: pageOptions.reading_direction,
+      split_spreads: pageOptions.split_spreads,
+      watermark: payload.watermark,
+      imprint: payload.imprint
+    },
+    entries
+  });
+
+  return { ...result, manifest_url: manifestUrl };
+};
+
+/**
+ * Run a queued /export job from its stored request payload.
+ * The images are downloaded once and each target is rendered from them in turn;
+ * a failing target is reported in `outputs` without stopping the others.
+ */
+const runExportJob = async (payload) => {
+  const { exportId, metadata = {} } = payload;
+  const startTime = Date.now();
+  const targets = getExportTargets(payload);
+  // Page order options shared by every format (reading_direction used to be read from metadata only)
+  const readingDirection = payload.reading_direction || metadata.reading_direction;
+  const spreadOptions = {
+    reading_direction: READING_DIRECTIONS.includes(readingDirection) ? readingDirection : undefined,
+    split_spreads: Boolean(payload.split_spreads)
   };
+  const multiTarget = targets.length > 1;
+  const sources = new SourceSet(exportId);
 
   try {
-    // Comic cover
-    if (covers.comic_cover) {
-      await addImageToPdf(covers.comic_cover, 'Comic cover');
+    jobStore.update(exportId, { state: 'running', started_at: new Date().toISOString() });
+    await updateExportStatus(exportId, 'processing');
+
+    const content = getExportContent(payload);
+    jobSources.set(exportId, sources);
+    await sources.prefetch(exportId, [
+      ...content.items.map(item => item.url),
+      payload.watermark && payload.watermark.image_url
+    ].filter(Boolean));
+
+    const fingerprint = getRenderFingerprint(exportId, 'export', payload, sources);
+    const reused = findReusableOutput(fingerprint);
+    if (reused) {
+      console.log(`♻️ [${exportId}] Unchanged since export ${reused.reused_from}, reusing ${reused.url}`);
+      jobStore.update(exportId, { state: 'completed', finished_at: new Date().toISOString(), output: reused });
+      await updateExportStatus(exportId, 'completed', {
+        file_url: reused.url,
+        file_size: reused.size,
+        manifest_url: reused.manifest_url,
+        ...(reused.outputs ? { outputs: reused.outputs } : {}),
+        reused_from: reused.reused_from
+      });
+      return;
     }
-    
-    // Chapter cover (from covers object OR page 0)
-    if (covers.chapter_cover) {
-      await addImageToPdf(covers.chapter_cover, 'Chapter cover');
-    } else if (page0 && page0.image_url) {
-      await addImageToPdf(page0.image_url, 'Page 0 (chapter cover)');
+
+    // Watermark and imprint are resolved once and drawn by every target
+    const pageOptions = { ...spreadOptions, marks: await loadPageMarks(exportId, payload) };
+    if (pageOptions.marks) {
+      pageOptions.marks.lastItem = content.items[content.items.length - 1];
     }
 
-    // Regular pages
-    for (const page of regularPages) {
-      await addImageToPdf(page.image_url, `Page ${page.page_number}`);
+    const outputs = [];
+    for (const [index, target] of targets.entries()) {
+      const { format, compression = 'medium', image_format = null } = target;
+      if (multiTarget) {
+        console.log(`🎯 [${exportId}] Target ${index + 1}/${targets.length}: ${format}${compression ? ` (${compression})` : ''}`);
+      }
+      try {
+        const result = await renderExportTarget(payload, content, target, pageOptions);
+        outputs.push({ format, compression, image_format, ...result });
+      } catch (error) {
+        // A single target fails the job; cancels and timeouts stop every target
+        const signal = getJobSignal(exportId);
+        if (!multiTarget || error instanceof ExportCancelledError || (signal && signal.aborted)) throw error;
+        console.error(`❌ [${exportId}] Target ${index + 1} (${format}) failed:`, error.message);
+        outputs.push({ format, compression, image_format, error: error.message });
+      }
     }
 
-    // Back cover
-    if (covers.back_cover) {
-      await addImageToPdf(covers.back_cover, 'Back cover');
+    const completed = outputs.filter(output => !output.error);
+    if (completed.length === 0) {
+      throw new Error(`All ${targets.length} targets failed: ${outputs.map(output => `${output.format}: ${output.error}`).join('; ')}`);
     }
 
-    console.log(`💾 [${exportId}] Saving PDF...`);
-    const pdfBytes = await pdfDoc.save();
-    return Buffer.from(pdfBytes);
-    
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`✅ [${exportId}] Completed in ${duration}s${multiTarget ? ` (${completed.length}/${targets.length} targets)` : ''}`);
+
+    // file_url/file_size/manifest_url point at the first artifact, `outputs` lists every target of a multi-target export
+    const { url, size, sha256: fileSha256, manifest_url } = completed[0];
+    const targetOutputs = multiTarget ? { outputs } : {};
+    const output = { url, size, sha256: fileSha256, manifest_url, ...targetOutputs, fingerprint };
+    // Partial renders still replace older artifacts at their URLs, but are never reused
+    artifactStore.remember(isCompleteOutput(output) ? fingerprint : null, exportId, output);
+
+    jobStore.update(exportId, {
+      state: 'completed',
+      finished_at: new Date().toISOString(),
+      output
+    });
+
+    await updateExportStatus(exportId, 'completed', {
+      file_url: url,
+      file_size: size,
+      manifest_url,
+      ...targetOutputs
+    });
+
   } catch (error) {
-    throw error;
+    if (error instanceof ExportCancelledError) {
+      console.log(`🛑 [${exportId}] Cancelled`);
+      jobStore.update(exportId, { state: 'cancelled', finished_at: new Date().toISOString() });
+      await updateExportStatus(exportId, 'cancelled');
+      return;
+    }
+
+    console.error(`❌ [${exportId}] Failed:`, error.message);
+    jobStore.update(exportId, {
+      state: 'failed',
+      finished_at: new Date().toISOString(),
+      error: error.message
+    });
+    await updateExportStatus(exportId, 'failed', {
+      error_message: error.message
+    });
+  } finally {
+    jobSources.delete(exportId);
+    await sources.release();
   }
 };
 
-// ============================================
-// UPLOAD TO SUPABASE (for both compressed and Full HD)
-// ============================================
-const uploadToSupabase = async (exportId, fileBuffer, fileName, mimeType, compression) => {
-  const fileSizeMB = fileBuffer.length / 1024 / 1024;
-  console.log(`📦 [${exportId}] Generated: ${fileSizeMB.toFixed(2)} MB (${compression})`);
+// Pages of a chapter (pages without image_url are skipped)
+const EXPORT_PAGES_FIELD = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    fields: {
+      page_number: { type: 'integer', required: true, min: 0 },
+      image_url: URL_FIELD,
+      spread: { type: 'boolean' }
+    }
+  },
+  unique: { by: page => page.page_number, label: 'page_number' }
+};
 
-  const supabase = getSupabaseClient();
-  const storagePath = `exports/${fileName}`;
-  
-  const { error } = await supabase.storage
-    .from('comics')
-    .upload(storagePath, fileBuffer, { 
-      contentType: mimeType,
-      upsert: true
-    });
+const EXPORT_REQUEST_SCHEMA = {
+  exportId: { type: 'string', required: true },
+  comicName: { type: 'string', required: true },
+  chapterNumber: { type: ['number', 'string'], required: body => !body.chapters },
+  // Either one chapter's pages or a volume's chapters
+  pages: {
+    ...EXPORT_PAGES_FIELD,
+    required: body => !body.chapters,
+    check: (pages, body) => (body.chapters ? 'cannot be combined with chapters' : null)
+  },
+  chapters: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      fields: {
+        chapterNumber: { type: ['number', 'string'], required: true },
+        title: { type: 'string' },
+        chapter_cover: URL_FIELD,
+        pages: { ...EXPORT_PAGES_FIELD, required: true }
+      }
+    },
+    unique: { by: chapter => chapter.chapterNumber, label: 'chapterNumber' }
+  },
+  volumeNumber: { type: ['number', 'string'] },
+  volumeTitle: { type: 'string' },
+  covers: {
+    type: 'object',
+    fields: { comic_cover: URL_FIELD, chapter_cover: URL_FIELD, back_cover: URL_FIELD }
+  },
+  format: { type: 'string', enum: Object.keys(EXPORT_IMAGE_FORMATS) },
+  compression: { type: 'string', enum: COMPRESSION_MODES },
+  image_format: EXPORT_IMAGE_FORMAT_FIELD,
+  print: PRINT_PROFILE_FIELD,
+  // Several output targets replace the single format/compression/image_format/print of the request
+  targets: EXPORT_TARGETS_FIELD,
+  reading_direction: { type: 'string', enum: READING_DIRECTIONS },
+  split_spreads: { type: 'boolean' },
+  metadata: { type: 'object' },
+  ...SHARED_REQUEST_FIELDS
+};
 
-  if (error) {
-    throw new Error(`Supabase upload failed: ${error.message}`);
+app.post('/export', authenticate, authorizeRoute('export'), async (req, res) => {
+  const { exportId, format, chapters, targets, compression, comicName, chapterNumber } = req.body;
+
+  if (!acceptingJobs) {
+    return rejectWhileShuttingDown(res);
   }
 
-  const { data: { publicUrl } } = supabase.storage
-    .from('comics')
-    .getPublicUrl(storagePath);
+  const schemaErrors = validateSchema(req.body, EXPORT_REQUEST_SCHEMA);
+  if (schemaErrors.length > 0) {
+    return rejectInvalidRequest(res, schemaErrors);
+  }
 
-  console.log(`☁️ [${exportId}] Uploaded to Supabase`);
-  
-  return { url: publicUrl, size: fileBuffer.length };
-};
+  const { items } = getExportContent(req.body);
 
-// ============================================
-// MAIN EXPORT ENDPOINT
-// ============================================
-app.post('/export', async (req, res) => {
-  const { exportId, comicName, chapterNumber, format, pages, covers, compression } = req.body;
+  const repeated = findRepeatedJob(req, 'export', exportId);
+  if (repeated.conflict) {
+    return res.status(409).json({ success: false, error: repeated.conflict });
+  }
+  if (repeated.job) {
+    return respondWithRepeatedJob(res, repeated.job, 'exportId');
+  }
 
-  if (!exportId || !pages || pages.length === 0) {
-    return res.status(400).json({ success: false, error: 'Invalid request' });
+  // Every target renders every page
+  if (!admitTenantJob(req, res, items.length * (targets ? targets.length : 1))) {
+    return;
   }
 
+  const job = jobStore.create(exportId, 'export', {
+    tenant: req.tenant ? req.tenant.id : null,
+    priority: req.body.priority || 'normal',
+    idempotency_key: req.get('Idempotency-Key') || null,
+    request_hash: getRequestHash('export', req.body),
+    format: targets ? targets.map(target => target.format).join(',') : (format || 'pdf'),
+    compression: targets ? null : compression,
+    image_format: targets ? null : (req.body.image_format || null),
+    target_count: targets ? targets.length : null,
+    comic_name: comicName,
+    chapter_number: chapterNumber,
+    volume_number: req.body.volumeNumber ?? null,
+    chapter_count: chapters ? chapters.length : null,
+    payload: req.body
+  });
+
+  enqueueJob(job);
+
   const queueStatus = exportQueue.getStatus();
-  console.log(`📬 [${exportId}] Queued (${compression}). Queue: ${queueStatus.queued} waiting, ${queueStatus.running} running`);
+  console.log(`📬 [${exportId}] Queued (${targets ? `${targets.length} targets` : compression}, ${job.priority} priority). Queue: ${queueStatus.queued} waiting, ${queueStatus.running} running`);
 
+  // queuePosition is 0 when the export started right away
   res.json({ 
     success: true, 
     message: 'Export queued',
     exportId,
-    queuePosition: queueStatus.queued + 1
-  });
-
-  exportQueue.add(async () => {
-    const startTime = Date.now();
-    
-    try {
-      await updateExportStatus(exportId, 'processing');
-      
-      const sanitizedName = comicName.replace(/[^a-zA-Z0-9]/g, '_');
-      const fileExtension = format === 'pdf' ? 'pdf' : 'cbz';
-      // Filename based on comic + chapter + compression (no timestamp = overwrites previous)
-      const fileName = `${sanitizedName}_Ch${chapterNumber}_${compression}.${fileExtension}`;
-      const mimeType = format === 'pdf' ? 'application/pdf' : 'application/zip';
-
-      let fileBuffer;
-
-      if (format === 'cbz') {
-        fileBuffer = await generateCBZ(exportId, pages, covers, compression);
-      } else {
-        fileBuffer = await generatePDF(exportId, pages, covers, compression);
-      }
-
-      const result = await uploadToSupabase(exportId, fileBuffer, fileName, mimeType, compression);
-      
-      // Free memory
-      fileBuffer = null;
-
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`✅ [${exportId}] Completed in ${duration}s`);
-
-      await updateExportStatus(exportId, 'completed', {
-        file_url: result.url,
-        file_size: result.size
-      });
-
-    } catch (error) {
-      console.error(`❌ [${exportId}] Failed:`, error.message);
-      await updateExportStatus(exportId, 'failed', {
-        error_message: error.message
-      });
-    }
-  }).catch(error => {
-    console.error(`❌ [${exportId}] Queue error:`, error.message);
+    queuePosition: exportQueue.getPosition(exportId) || 0
   });
 });
 
@@ -415,117 +3996,368 @@ const parseHexColor = (hex) => {
 };
 
 /**
- * Get JPG quality based on compression mode
+ * Download panel image and get its buffer + metadata
  */
-const getJpgQuality = (compressionMode) => {
-  switch (compressionMode) {
-    case 'high': return 95;
-    case 'medium': return 85;
-    case 'low': return 70;
-    default: return 85;
+const downloadPanelImage = async (url, downloadOptions) => {
+  const { buffer, hash } = await downloadImage(url, downloadOptions);
+  const metadata = await sharp(buffer).metadata();
+  return { buffer, hash, metadata };
+};
+
+const LONGSTRIP_IMAGE_FORMATS = ['jpeg', 'webp', 'png'];
+const DEFAULT_SLICE_HEIGHT = 1280;
+const MIN_SLICE_HEIGHT = 100;
+// Slices are also capped by what the image format can encode (e.g. 16383px for WebP)
+const MAX_SLICE_HEIGHT = 65535;
+
+/**
+ * Maximum slice height requested for a longstrip, or null to export one JPEG.
+ * `slice: true` uses the default, `slice_height` sets it explicitly.
+ */
+const getSliceHeight = ({ slice, slice_height }) => {
+  if (slice_height !== undefined && slice_height !== null) return slice_height;
+  return slice ? DEFAULT_SLICE_HEIGHT : null;
+};
+
+// Canvas width used when the request does not set canvas_width (common presets: 690, 800, 1080)
+const DEFAULT_LONGSTRIP_WIDTH = 768;
+const MIN_LONGSTRIP_WIDTH = 200;
+const MAX_LONGSTRIP_WIDTH = 4096;
+const DEFAULT_LONGSTRIP_GUTTER = 16;
+const PANEL_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Request schema rules (see REQUEST VALIDATION) of the layout and output options shared by
+// /export-longstrip and the longstrip targets of /export
+const LONGSTRIP_OUTPUT_FIELDS = {
+  image_format: { type: 'string', enum: LONGSTRIP_IMAGE_FORMATS },
+  background_color: { type: 'string', format: 'hex_color' },
+  canvas_width: { type: 'integer', min: MIN_LONGSTRIP_WIDTH, max: MAX_LONGSTRIP_WIDTH },
+  margin: {
+    type: 'integer',
+    min: 0,
+    check: (margin, body, parent) => {
+      const width = Number.isInteger(parent.canvas_width) ? parent.canvas_width : DEFAULT_LONGSTRIP_WIDTH;
+      return width - 2 * margin >= MIN_LONGSTRIP_WIDTH / 2 ? null : `must leave at least ${MIN_LONGSTRIP_WIDTH / 2}px between the margins`;
+    }
+  },
+  gutter: { type: 'integer', min: 0 },
+  slice: { type: 'boolean' },
+  // Also capped by what the image format can encode
+  slice_height: {
+    type: 'integer',
+    check: (sliceHeight, body, parent) => {
+      const imageFormat = LONGSTRIP_IMAGE_FORMATS.includes(parent.image_format) ? parent.image_format : 'jpeg';
+      const maxSliceHeight = Math.min(MAX_SLICE_HEIGHT, IMAGE_FORMATS[imageFormat].maxDimension || MAX_SLICE_HEIGHT);
+      return sliceHeight >= MIN_SLICE_HEIGHT && sliceHeight <= maxSliceHeight ? null : `must be between ${MIN_SLICE_HEIGHT} and ${maxSliceHeight} pixels`;
+    }
   }
 };
+const LONGSTRIP_TARGET_FIELDS = {
+  format: { type: 'string', required: true, enum: EXPORT_TARGET_FORMATS },
+  compression: { type: 'string', enum: COMPRESSION_MODES },
+  ...LONGSTRIP_OUTPUT_FIELDS
+};
 
 /**
- * Download panel image and get its buffer + metadata
+ * Group sorted panels into rows: consecutive panels with the same `row` value sit side by side,
+ * every other panel gets a row of its own
  */
-const downloadPanelImage = async (url) => {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to download panel: ${url}`);
+const groupPanelRows = (panels) => {
+  const rows = [];
+  for (const panel of panels) {
+    const previousRow = rows[rows.length - 1];
+    const sharesRow = panel.row !== undefined && panel.row !== null
+      && previousRow && previousRow[0].row === panel.row;
+
+    if (sharesRow) {
+      previousRow.push(panel);
+    } else {
+      rows.push([panel]);
+    }
   }
-  const buffer = Buffer.from(await response.arrayBuffer());
-  const metadata = await sharp(buffer).metadata();
-  return { buffer, metadata };
+  return rows;
 };
 
 /**
- * Generate longstrip JPG from panels
+ * Place downloaded panels on the strip (sizes are the target sizes after resizing).
+ *
+ * - A single panel is scaled to `scale` (default 1) of the width between the margins
+ *   and aligned left, center (default) or right.
+ * - Panels sharing a row are scaled to one common height so that, with `gutter` px between
+ *   them, they fill the width between the margins.
+ * - breath_gap is the space above a panel (above a row: the gap of its first panel).
  */
-const generateLongstrip = async (exportId, panels, backgroundColor, compressionMode) => {
-  const PANEL_WIDTH = 768;
-  const bgColor = parseHexColor(backgroundColor);
-  const jpgQuality = getJpgQuality(compressionMode);
+const layoutLongstripPanels = (panelData, { width, margin = 0, gutter = DEFAULT_LONGSTRIP_GUTTER }) => {
+  const contentWidth = width - 2 * margin;
+  const placements = [];
+  let currentY = 0;
+
+  for (const row of groupPanelRows(panelData)) {
+    currentY += row[0].breath_gap || 0;
+
+    if (row.length === 1) {
+      const [panel] = row;
+      const panelWidth = Math.max(1, Math.round(contentWidth * (panel.scale || 1)));
+      const panelHeight = Math.max(1, Math.round(panel.height * panelWidth / panel.width));
+      const align = panel.align || 'center';
+      const offset = align === 'left' ? 0
+        : align === 'right' ? contentWidth - panelWidth
+          : Math.floor((contentWidth - panelWidth) / 2);
+
+      placements.push({ panel, top: currentY, left: margin + offset, width: panelWidth, height: panelHeight });
+      currentY += panelHeight;
+      continue;
+    }
+
+    // Common height at which the panels (kept in proportion) exactly fill the row
+    const availableWidth = contentWidth - gutter * (row.length - 1);
+    const aspectSum = row.reduce((sum, panel) => sum + panel.width / panel.height, 0);
+    const rowHeight = Math.max(1, Math.round(availableWidth / aspectSum));
+    const widths = row.map(panel => Math.max(1, Math.round(panel.width * rowHeight / panel.height)));
+    const rowWidth = widths.reduce((sum, panelWidth) => sum + panelWidth, 0) + gutter * (row.length - 1);
+
+    // Rounding can leave a pixel or two over: center the row in what is left
+    let left = margin + Math.floor((contentWidth - Math.min(rowWidth, contentWidth)) / 2);
+    row.forEach((panel, index) => {
+      const panelWidth = Math.min(widths[index], width - left);
+      placements.push({ panel, top: currentY, left, width: panelWidth, height: rowHeight });
+      left += panelWidth + gutter;
+    });
+    currentY += rowHeight;
+  }
+
+  return { width, height: currentY, placements };
+};
+
+/**
+ * Download the panels and place them on the strip.
+ * Returns { width, height, placements: [{ panel, input, top, left, width, height }] }
+ * where input is the panel image resized to its place (and watermarked with `marks`).
+ * An imprint is placed below the panels as a placement without panel.
+ */
+const buildLongstripLayout = async (exportId, panels, layoutOptions = {}) => {
+  const width = layoutOptions.width || DEFAULT_LONGSTRIP_WIDTH;
+  const { marks } = layoutOptions;
   
   // Sort panels
   const sortedPanels = sortPanels(panels);
-  console.log(`🎨 [${exportId}] Generating longstrip with ${sortedPanels.length} panels (quality: ${jpgQuality}%)`);
+  console.log(`🎨 [${exportId}] Generating longstrip with ${sortedPanels.length} panels`);
   
-  // Download all panels and collect metadata
+  // Download all panels (in parallel, kept in order) and collect metadata
   const panelData = [];
-  for (let i = 0; i < sortedPanels.length; i++) {
-    const panel = sortedPanels[i];
+  const downloads = mapInOrder(sortedPanels, async (panel, index, signal) => {
+    try {
+      return await downloadPanelImage(panel.image_url, { signal, sources: jobSources.get(exportId) });
+    } catch (error) {
+      throw pageError(`Panel ${panel.panel_number}${panel.panel_suffix || ''}`, error, signal);
+    }
+  }, DOWNLOAD_CONCURRENCY, getJobSignal(exportId));
+
+  reportPhase(exportId, 'processing');
+  reportProgress(exportId, 0, sortedPanels.length);
+
+  for await (const { buffer, hash, metadata } of downloads) {
+    const panel = sortedPanels[panelData.length];
     const suffix = panel.panel_suffix ? panel.panel_suffix : '';
-    console.log(`📥 [${exportId}] Downloading panel ${panel.panel_number}${suffix} (${i + 1}/${sortedPanels.length})...`);
+    console.log(`📥 [${exportId}] Downloaded panel ${panel.panel_number}${suffix} (${panelData.length + 1}/${sortedPanels.length})`);
     
-    const { buffer, metadata } = await downloadPanelImage(panel.image_url);
     panelData.push({
       ...panel,
       buffer,
+      hash,
       width: metadata.width,
       height: metadata.height
     });
+    reportProgress(exportId, panelData.length, sortedPanels.length, `Panel ${panel.panel_number}${suffix}`);
   }
   
-  // Calculate total height
-  let totalHeight = 0;
-  for (const panel of panelData) {
-    totalHeight += panel.breath_gap || 0; // Add gap BEFORE this panel
-    totalHeight += panel.height;
+  const layout = layoutLongstripPanels(panelData, { ...layoutOptions, width });
+
+  // Resize each panel to its place (the source image is kept when it already fits)
+  for (const placement of layout.placements) {
+    const { panel } = placement;
+    placement.input = panel.buffer;
+    if (panel.width !== placement.width || panel.height !== placement.height) {
+      placement.input = await getCachedVariant(`panel${placement.width}x${placement.height}`, panel.hash, () => {
+        return sharp(panel.buffer)
+          .resize(placement.width, placement.height, { fit: 'fill' })
+          .toBuffer();
+      }, 'panel');
+    }
+    if (marks && marks.watermark) {
+      placement.input = await applyPageMarks(placement.input, { watermark: marks.watermark });
+    }
+  }
+
+  // The imprint gets a band of its own below the last panel
+  if (marks && marks.imprint) {
+    const band = await renderImprintBand(marks.imprint, layout.width);
+    const { height: bandHeight } = await sharp(band).metadata();
+    layout.placements.push({ panel: null, input: band, top: layout.height, left: 0, width: layout.width, height: bandHeight });
+    layout.height += bandHeight;
   }
   
-  console.log(`📐 [${exportId}] Canvas size: ${PANEL_WIDTH}x${totalHeight}px`);
-  
-  // Create composite operations array
+  console.log(`📐 [${exportId}] Canvas size: ${layout.width}x${layout.height}px`);
+
+  return layout;
+};
+
+/**
+ * Render rows [top, top + height) of the strip as an image.
+ * Panels crossing the region edges are cropped to the part that is visible.
+ */
+const renderLongstripRegion = async (layout, top, height, bgColor, imageFormat, quality) => {
   const compositeOps = [];
-  let currentY = 0;
-  
-  for (const panel of panelData) {
-    // Add breath_gap (space before this panel)
-    currentY += panel.breath_gap || 0;
-    
-    // Resize panel to fit width if needed
-    let panelBuffer = panel.buffer;
-    if (panel.width !== PANEL_WIDTH) {
-      panelBuffer = await sharp(panel.buffer)
-        .resize(PANEL_WIDTH, null, { fit: 'contain' })
+
+  for (const placement of layout.placements) {
+    const visibleTop = Math.max(placement.top, top);
+    const visibleBottom = Math.min(placement.top + placement.height, top + height);
+    if (visibleBottom <= visibleTop) continue;
+
+    let input = placement.input;
+    if (visibleTop !== placement.top || visibleBottom !== placement.top + placement.height) {
+      input = await sharp(placement.input)
+        .extract({ left: 0, top: visibleTop - placement.top, width: placement.width, height: visibleBottom - visibleTop })
         .toBuffer();
     }
-    
-    compositeOps.push({
-      input: panelBuffer,
-      top: currentY,
-      left: 0
-    });
-    
-    currentY += panel.height;
+
+    compositeOps.push({ input, top: visibleTop - top, left: placement.left });
   }
-  
-  // Create the longstrip image
-  console.log(`🔨 [${exportId}] Compositing ${compositeOps.length} panels...`);
-  
-  const longstripBuffer = await sharp({
+
+  const image = sharp({
     create: {
-      width: PANEL_WIDTH,
-      height: totalHeight,
+      width: layout.width,
+      height,
       channels: 3,
       background: bgColor
     }
   })
-    .composite(compositeOps)
-    .jpeg({ quality: jpgQuality, progressive: true })
-    .toBuffer();
-  
-  // Free memory from panel buffers
-  for (const panel of panelData) {
-    panel.buffer.fill(0);
+    .composite(compositeOps);
+
+  return encodeImage(image, imageFormat, quality, { progressive: true }).toBuffer();
+};
+
+// Free memory from panel buffers
+const releaseLongstripLayout = (layout) => {
+  for (const placement of layout.placements) {
+    placement.input.fill(0);
+    if (placement.panel) placement.panel.buffer.fill(0);
+  }
+};
+
+/**
+ * Generate a single longstrip image (JPEG, WebP or PNG) from a panel layout
+ */
+const generateLongstrip = async (exportId, layout, backgroundColor, compressionMode, imageFormat) => {
+  const bgColor = parseHexColor(backgroundColor);
+  const quality = getImageQuality(compressionMode, imageFormat);
+
+  const { maxDimension } = IMAGE_FORMATS[imageFormat];
+  if (maxDimension && layout.height > maxDimension) {
+    throw new Error(`Longstrip is ${layout.height}px tall, more than the ${maxDimension}px a ${imageFormat.toUpperCase()} can hold - use slice_height to export it in slices`);
   }
   
+  // Create the longstrip image
+  console.log(`🔨 [${exportId}] Compositing ${layout.placements.length} panels (${imageFormat}, quality: ${quality}%)...`);
+  reportPhase(exportId, 'compositing');
+  
+  const longstripBuffer = await renderLongstripRegion(layout, 0, layout.height, bgColor, imageFormat, quality);
+  releaseLongstripLayout(layout);
+  
   console.log(`💾 [${exportId}] Longstrip generated: ${(longstripBuffer.length / 1024 / 1024).toFixed(2)} MB`);
   
   return longstripBuffer;
 };
 
+/**
+ * Split the strip into slices of at most maxHeight px.
+ * Each cut goes in the lowest breath_gap (or panel edge) that keeps the slice at least
+ * half of maxHeight tall; when there is none the cut goes through a panel at maxHeight.
+ */
+const getLongstripSlices = (layout, maxHeight) => {
+  // Rows where a cut does not go through a panel: [start, end] of each gap
+  const gaps = [];
+  let previousBottom = 0;
+  for (const placement of layout.placements) {
+    // Panels side by side share a top, only the first one has a gap above it
+    if (placement.top >= previousBottom) {
+      gaps.push([previousBottom, placement.top]);
+    }
+    previousBottom = Math.max(previousBottom, placement.top + placement.height);
+  }
+
+  const slices = [];
+  let top = 0;
+
+  while (top < layout.height) {
+    const limit = top + maxHeight;
+    if (limit >= layout.height) {
+      slices.push({ top, height: layout.height - top, cut_in_gap: true });
+      break;
+    }
+
+    const minCut = top + Math.ceil(maxHeight / 2);
+    let cut = null;
+    for (const [start, end] of gaps) {
+      if (start > limit || end < minCut) continue;
+      cut = Math.max(cut || 0, Math.min(end, limit));
+    }
+
+    const bottom = cut === null ? limit : cut;
+    slices.push({ top, height: bottom - top, cut_in_gap: cut !== null });
+    top = bottom;
+  }
+
+  return slices;
+};
+
+/**
+ * Generate the longstrip as numbered image slices, streamed into `output` as a ZIP
+ * together with manifest.json. Returns the manifest (slice offsets in strip pixels).
+ */
+const generateLongstripSlices = async (exportId, layout, backgroundColor, compressionMode, imageFormat, sliceHeight, output) => {
+  const bgColor = parseHexColor(backgroundColor);
+  const quality = getImageQuality(compressionMode, imageFormat);
+  const slices = getLongstripSlices(layout, sliceHeight);
+  const digits = Math.max(3, String(slices.length).length);
+
+  // Encoded slices don't compress any further
+  const archive = archiver('zip', { store: true });
+  archive.pipe(output);
+
+  try {
+    console.log(`🔪 [${exportId}] Compositing ${slices.length} slices of up to ${sliceHeight}px (${imageFormat}, quality: ${quality}%)...`);
+    reportPhase(exportId, 'compositing');
+
+    const manifestSlices = [];
+    for (const [index, slice] of slices.entries()) {
+      const file = `${String(index + 1).padStart(digits, '0')}.${IMAGE_FORMATS[imageFormat].ext}`;
+      const buffer = await renderLongstripRegion(layout, slice.top, slice.height, bgColor, imageFormat, quality);
+      await appendAndWait(archive, buffer, { name: file });
+      manifestSlices.push({ index: index + 1, file, ...slice, size: buffer.length, sha256: sha256(buffer) });
+    }
+    releaseLongstripLayout(layout);
+
+    const manifest = {
+      export_id: exportId,
+      width: layout.width,
+      height: layout.height,
+      slice_height: sliceHeight,
+      image_format: imageFormat,
+      slices: manifestSlices
+    };
+
+    reportPhase(exportId, 'saving');
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+
+    return manifest;
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+};
+
 /**
  * Send callback to the provided URL
  */
@@ -538,57 +4370,250 @@ const sendCallback = async (callbackUrl, exportId, status, data = {}) => {
     };
     
     console.log(`📤 [${exportId}] Sending callback to ${callbackUrl}`);
-    
-    const response = await fetch(callbackUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    
-    if (!response.ok) {
-      console.error(`❌ [${exportId}] Callback failed: ${response.status} ${await response.text()}`);
-    } else {
-      console.log(`✅ [${exportId}] Callback sent successfully`);
-    }
+    await webhookOutbox.enqueue(exportId, 'callback', callbackUrl, payload);
   } catch (error) {
     console.error(`❌ [${exportId}] Callback error:`, error.message);
   }
 };
 
+// ============================================
+// LONGSTRIP EXPORT ENDPOINT
+// ============================================
+
 /**
- * Upload longstrip to Supabase
+ * Panels drawn in a band of the strip, with their place inside the band (the imprint band is left out)
  */
-const uploadLongstripToSupabase = async (exportId, fileBuffer, fileName) => {
-  const fileSizeMB = fileBuffer.length / 1024 / 1024;
-  console.log(`📦 [${exportId}] Uploading longstrip: ${fileSizeMB.toFixed(2)} MB`);
+const getLongstripBandPanels = (layout, top, height) => {
+  return layout.placements
+    .filter(placement => placement.panel && placement.top < top + height && placement.top + placement.height > top)
+    .map(({ panel, ...placement }) => ({
+      panel_number: panel.panel_number,
+      ...(panel.panel_suffix ? { panel_suffix: panel.panel_suffix } : {}),
+      source_url: panel.image_url,
+      left: placement.left,
+      top: placement.top - top,
+      width: placement.width,
+      height: placement.height
+    }));
+};
 
-  const supabase = getSupabaseClient();
-  const storagePath = `longstrips/${fileName}`;
-  
-  const { error } = await supabase.storage
-    .from('comics')
-    .upload(storagePath, fileBuffer, { 
-      contentType: 'image/jpeg',
-      upsert: true
+/**
+ * Lay out, render and upload a longstrip with its manifest: one image, or slices in a ZIP.
+ * Resolves to { url, size, sha256, manifest_url }, plus { slice_count } when sliced.
+ */
+const renderLongstrip = async (exportId, panels, options, baseName, storage = {}, marks = null) => {
+  const {
+    compression_mode = 'medium',
+    background_color = '#0a0a0f',
+    image_format: imageFormat = 'jpeg',
+    canvas_width,
+    margin,
+    gutter
+  } = options;
+
+  const layout = await buildLongstripLayout(exportId, panels, { width: canvas_width, margin, gutter, marks });
+  const sliceHeight = getSliceHeight(options);
+  const manifestOptions = {
+    compression_mode,
+    background_color,
+    image_format: imageFormat,
+    canvas_width: layout.width,
+    margin,
+    gutter,
+    slice_height: sliceHeight,
+    watermark: options.watermark,
+    imprint: options.imprint
+  };
+
+  if (sliceHeight) {
+    // Slices are streamed into storage as a ZIP
+    let slicesManifest;
+    const fileName = `${baseName}.zip`;
+    const result = await uploadExportStream(exportId, 'longstrips', fileName, 'application/zip', storage, async (stream) => {
+      slicesManifest = await generateLongstripSlices(exportId, layout, background_color, compression_mode, imageFormat, sliceHeight, stream);
+    });
+    const { slices } = slicesManifest;
+
+    // `slices` keeps the layout of the manifest.json inside the ZIP
+    const manifestUrl = await uploadManifest(exportId, 'longstrips', `${baseName}.json`, storage, {
+      route: 'longstrip',
+      file: { name: fileName, ...result },
+      options: manifestOptions,
+      extra: { width: layout.width, height: layout.height, slice_height: sliceHeight, image_format: imageFormat, slices },
+      entries: slices.map(slice => ({
+        name: slice.file,
+        top: slice.top,
+        width: layout.width,
+        height: slice.height,
+        size: slice.size,
+        sha256: slice.sha256,
+        panels: getLongstripBandPanels(layout, slice.top, slice.height)
+      }))
     });
 
-  if (error) {
-    throw new Error(`Supabase upload failed: ${error.message}`);
+    console.log(`📦 [${exportId}] Uploaded ${slices.length} slices: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
+    return { ...result, manifest_url: manifestUrl, slice_count: slices.length };
   }
 
-  const { data: { publicUrl } } = supabase.storage
-    .from('comics')
-    .getPublicUrl(storagePath);
+  const longstripBuffer = await generateLongstrip(
+    exportId,
+    layout,
+    background_color,
+    compression_mode,
+    imageFormat
+  );
+
+  const fileSizeMB = longstripBuffer.length / 1024 / 1024;
+  console.log(`📦 [${exportId}] Uploading longstrip: ${fileSizeMB.toFixed(2)} MB`);
+  reportPhase(exportId, 'uploading');
+
+  const { ext, mimeType } = IMAGE_FORMATS[imageFormat];
+  const fileName = `${baseName}.${ext}`;
+  const result = await uploadExportFile(exportId, longstripBuffer, 'longstrips', fileName, mimeType, storage);
+
+  // Free memory
+  longstripBuffer.fill && longstripBuffer.fill(0);
+
+  const manifestUrl = await uploadManifest(exportId, 'longstrips', `${baseName}.json`, storage, {
+    route: 'longstrip',
+    file: { name: fileName, ...result },
+    options: manifestOptions,
+    entries: [{
+      name: fileName,
+      top: 0,
+      width: layout.width,
+      height: layout.height,
+      size: result.size,
+      sha256: result.sha256,
+      panels: getLongstripBandPanels(layout, 0, layout.height)
+    }]
+  });
+
+  return { ...result, manifest_url: manifestUrl };
+};
 
-  console.log(`☁️ [${exportId}] Uploaded to Supabase: ${storagePath}`);
+/**
+ * Run a queued /export-longstrip job from its stored request payload
+ */
+const runLongstripJob = async (payload) => {
+  const {
+    export_id,
+    chapter_id,
+    comic_name,
+    panels,
+    compression_mode = 'medium',
+    background_color = '#0a0a0f',
+    callback_url,
+    storage = {}
+  } = payload;
+  const startTime = Date.now();
+  // Panels are downloaded once up front, then fingerprinted and rendered from disk
+  const sources = new SourceSet(export_id);
   
-  return { url: publicUrl, size: fileBuffer.length };
+  try {
+    jobStore.update(export_id, { state: 'running', started_at: new Date().toISOString() });
+    console.log(`🚀 [${export_id}] Starting longstrip export for "${comic_name}"`);
+    console.log(`   Panels: ${panels.length}, Compression: ${compression_mode}, BG: ${background_color}`);
+    
+    // Create filename
+    const sanitizedName = sanitizeNamePart(comic_name);
+    const timestamp = Date.now();
+    const chapterPart = chapter_id === undefined ? '' : `_${sanitizeNamePart(chapter_id)}`;
+    const baseName = `${sanitizedName}${chapterPart}_longstrip_${compression_mode}_${timestamp}`;
+
+    jobSources.set(export_id, sources);
+    await sources.prefetch(export_id, [
+      ...panels.map(panel => panel.image_url),
+      payload.watermark && payload.watermark.image_url
+    ].filter(Boolean));
+
+    const fingerprint = getRenderFingerprint(export_id, 'longstrip', payload, sources);
+    let output = findReusableOutput(fingerprint);
+    if (output) {
+      console.log(`♻️ [${export_id}] Unchanged since export ${output.reused_from}, reusing ${output.url}`);
+    } else {
+      const marks = await loadPageMarks(export_id, payload);
+      output = { ...await renderLongstrip(export_id, panels, payload, baseName, storage, marks), fingerprint };
+      artifactStore.remember(fingerprint, export_id, output);
+    }
+    
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`✅ [${export_id}] Longstrip completed in ${duration}s`);
+
+    jobStore.update(export_id, {
+      state: 'completed',
+      finished_at: new Date().toISOString(),
+      output
+    });
+    
+    // Send success callback
+    const { url, size, manifest_url, slice_count, reused_from } = output;
+    await sendCallback(callback_url, export_id, 'completed', {
+      file_url: url,
+      file_size: size,
+      manifest_url,
+      slice_count,
+      reused_from
+    });
+
+  } catch (error) {
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    if (error instanceof ExportCancelledError) {
+      console.log(`🛑 [${export_id}] Longstrip cancelled after ${duration}s`);
+      jobStore.update(export_id, { state: 'cancelled', finished_at: new Date().toISOString() });
+      await sendCallback(callback_url, export_id, 'cancelled');
+      return;
+    }
+
+    console.error(`❌ [${export_id}] Longstrip failed after ${duration}s:`, error.message);
+    jobStore.update(export_id, {
+      state: 'failed',
+      finished_at: new Date().toISOString(),
+      error: error.message
+    });
+    
+    // Send failure callback
+    await sendCallback(callback_url, export_id, 'failed', {
+      error_message: error.message
+    });
+  } finally {
+    jobSources.delete(export_id);
+    await sources.release();
+  }
 };
 
-// ============================================
-// LONGSTRIP EXPORT ENDPOINT
-// ============================================
-app.post('/export-longstrip', async (req, res) => {
+// Layout and output options are shared with the longstrip targets of /export (LONGSTRIP_OUTPUT_FIELDS)
+const LONGSTRIP_REQUEST_SCHEMA = {
+  export_id: { type: 'string', required: true },
+  comic_id: { type: ['string', 'number'] },
+  chapter_id: { type: ['string', 'number'] },
+  comic_name: { type: 'string', required: true },
+  panels: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+      type: 'object',
+      fields: {
+        panel_number: { type: 'integer', required: true },
+        panel_suffix: { type: 'string' },
+        image_url: { ...URL_FIELD, required: true },
+        align: { type: 'string', enum: PANEL_ALIGNMENTS },
+        scale: FRACTION_FIELD,
+        breath_gap: { type: 'integer', min: 0 },
+        row: { type: 'integer', min: 0 }
+      }
+    },
+    unique: { by: panel => `${panel.panel_number}${panel.panel_suffix || ''}`, label: 'panel' }
+  },
+  compression_mode: { type: 'string', enum: COMPRESSION_MODES },
+  ...LONGSTRIP_OUTPUT_FIELDS,
+  callback_url: { ...URL_FIELD, required: true },
+  ...SHARED_REQUEST_FIELDS
+};
+
+app.post('/export-longstrip', authenticate, authorizeRoute('longstrip'), async (req, res) => {
   const {
     export_id,
     comic_id,
@@ -596,86 +4621,280 @@ app.post('/export-longstrip', async (req, res) => {
     comic_name,
     panels,
     compression_mode = 'medium',
-    background_color = '#0a0a0f',
     callback_url
   } = req.body;
 
+  if (!acceptingJobs) {
+    return rejectWhileShuttingDown(res);
+  }
+
   // Validation
-  if (!export_id) {
-    return res.status(400).json({ success: false, error: 'Missing export_id' });
+  const schemaErrors = validateSchema(req.body, LONGSTRIP_REQUEST_SCHEMA);
+  if (schemaErrors.length > 0) {
+    return rejectInvalidRequest(res, schemaErrors);
   }
-  
-  if (!panels || panels.length === 0) {
-    return res.status(400).json({ success: false, error: 'No panels provided' });
+
+  const imageFormat = req.body.image_format || 'jpeg';
+  const sliceHeight = getSliceHeight(req.body);
+
+  const repeated = findRepeatedJob(req, 'longstrip', export_id);
+  if (repeated.conflict) {
+    return res.status(409).json({ success: false, error: repeated.conflict });
   }
-  
-  if (!callback_url) {
-    return res.status(400).json({ success: false, error: 'Missing callback_url' });
+  if (repeated.job) {
+    return respondWithRepeatedJob(res, repeated.job, 'export_id');
+  }
+
+  if (!admitTenantJob(req, res, panels.length)) {
+    return;
   }
 
+  const job = jobStore.create(export_id, 'longstrip', {
+    tenant: req.tenant ? req.tenant.id : null,
+    priority: req.body.priority || 'normal',
+    idempotency_key: req.get('Idempotency-Key') || null,
+    request_hash: getRequestHash('longstrip', req.body),
+    format: sliceHeight ? 'zip' : IMAGE_FORMATS[imageFormat].ext,
+    compression: compression_mode,
+    image_format: imageFormat,
+    comic_id,
+    comic_name,
+    chapter_id,
+    callback_url,
+    payload: req.body
+  });
+
+  // Process in background
+  enqueueJob(job);
+
   const queueStatus = exportQueue.getStatus();
-  console.log(`📬 [${export_id}] Longstrip queued. Queue: ${queueStatus.queued} waiting, ${queueStatus.running} running`);
+  console.log(`📬 [${export_id}] Longstrip queued (${job.priority} priority). Queue: ${queueStatus.queued} waiting, ${queueStatus.running} running`);
 
-  // Respond immediately
+  // Respond immediately (queuePosition is 0 when the export started right away)
   res.json({ 
     success: true, 
     message: 'Longstrip export queued',
     export_id,
-    queuePosition: queueStatus.queued + 1
+    queuePosition: exportQueue.getPosition(export_id) || 0
   });
+});
 
-  // Process in background
-  exportQueue.add(async () => {
-    const startTime = Date.now();
-    
-    try {
-      console.log(`🚀 [${export_id}] Starting longstrip export for "${comic_name}"`);
-      console.log(`   Panels: ${panels.length}, Compression: ${compression_mode}, BG: ${background_color}`);
-      
-      // Generate the longstrip
-      const longstripBuffer = await generateLongstrip(
-        export_id,
-        panels,
-        background_color,
-        compression_mode
-      );
-      
-      // Create filename
-      const sanitizedName = comic_name.replace(/[^a-zA-Z0-9]/g, '_');
-      const timestamp = Date.now();
-      const fileName = `${sanitizedName}_${chapter_id}_longstrip_${compression_mode}_${timestamp}.jpg`;
-      
-      // Upload to Supabase
-      const result = await uploadLongstripToSupabase(export_id, longstripBuffer, fileName);
-      
-      // Free memory
-      longstripBuffer.fill && longstripBuffer.fill(0);
-      
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`✅ [${export_id}] Longstrip completed in ${duration}s`);
-      
-      // Send success callback
-      await sendCallback(callback_url, export_id, 'completed', {
-        file_url: result.url,
-        file_size: result.size
-      });
+// ============================================
+// EXPORT JOB ENDPOINTS
+// ============================================
 
-    } catch (error) {
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.error(`❌ [${export_id}] Longstrip failed after ${duration}s:`, error.message);
-      
-      // Send failure callback
-      await sendCallback(callback_url, export_id, 'failed', {
-        error_message: error.message
-      });
+/**
+ * Job record as returned by the API (adds the live queue position for waiting jobs)
+ */
+const formatJob = (job) => {
+  const formatted = { ...job };
+  delete formatted.callback_url;
+  delete formatted.payload;
+  delete formatted.request_hash;
+  if (job.output) {
+    formatted.output = formatOutput(job.output);
+  }
+  if (job.state === 'queued') {
+    formatted.queue_position = exportQueue.getPosition(job.id);
+  }
+  return formatted;
+};
+
+app.get('/exports', authenticate, (req, res) => {
+  const { state, route, comic_name, tenant, limit } = req.query;
+  const jobs = jobStore.list({
+    state,
+    route,
+    comicName: comic_name,
+    // Tenants only see their own jobs, admins can filter by tenant
+    tenant: req.tenant && !req.tenant.admin ? req.tenant.id : tenant,
+    limit: Math.min(parseInt(limit, 10) || 50, 500)
+  });
+
+  res.json({ success: true, jobs: jobs.map(formatJob) });
+});
+
+app.get('/exports/:id', authenticate, (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+
+  res.json({ success: true, job: formatJob(job) });
+});
+
+// The event stream ends after these (a requeued job continues in the next process)
+const FINAL_EVENT_TYPES = [...FINISHED_JOB_STATES, 'requeued'];
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Server-Sent Events stream of one job: a 'snapshot' of the job first, then
+ * queued / running / progress / phase events until it completes, fails or is cancelled
+ */
+app.get('/exports/:id/events', authenticate, (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', { type: 'snapshot', export_id: job.id, job: formatJob(job) });
+  if (FINAL_EVENT_TYPES.includes(job.state)) {
+    return res.end();
+  }
+
+  const onEvent = (event) => {
+    send(event.type, event);
+    if (FINAL_EVENT_TYPES.includes(event.type)) {
+      res.end();
     }
-  }).catch(error => {
-    console.error(`❌ [${export_id}] Queue error:`, error.message);
-    // Try to send callback even on queue error
-    sendCallback(callback_url, export_id, 'failed', {
-      error_message: `Queue error: ${error.message}`
-    }).catch(() => {});
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  jobEvents.on(job.id, onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, onEvent);
+  });
+});
+
+app.delete('/exports/:id', authenticate, async (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+
+  if (FINISHED_JOB_STATES.includes(job.state)) {
+    return res.status(409).json({ success: false, error: `Export already ${job.state}` });
+  }
+
+  // Still waiting: drop it from the queue before it starts
+  if (job.state === 'queued' && exportQueue.remove(job.id)) {
+    jobStore.update(job.id, {
+      state: 'cancelled',
+      cancel_requested: true,
+      finished_at: new Date().toISOString()
+    });
+    console.log(`🛑 [${job.id}] Cancelled while queued`);
+
+    res.json({ success: true, job: formatJob(job) });
+
+    await notifyJobStatus(job, 'cancelled');
+    return;
+  }
+
+  // Running: in-flight downloads are aborted and the job stops before its next page
+  jobStore.update(job.id, { cancel_requested: true });
+  const controller = jobControllers.get(job.id);
+  if (controller) {
+    controller.abort(new ExportCancelledError(job.id));
+  }
+  console.log(`🛑 [${job.id}] Cancel requested`);
+
+  res.status(202).json({ success: true, job: formatJob(job) });
+});
+
+// ============================================
+// WEBHOOK DELIVERY ENDPOINTS
+// ============================================
+
+// Bodies are kept as sent (parsed here for readability)
+const formatDelivery = (delivery) => ({ ...delivery, body: JSON.parse(delivery.body) });
+
+app.get('/deliveries', authenticate, requireAdmin, (req, res) => {
+  const { state, export_id, target, limit } = req.query;
+  const deliveries = webhookOutbox.list({
+    state,
+    exportId: export_id,
+    target,
+    limit: Math.min(parseInt(limit, 10) || 50, 500)
   });
+
+  res.json({ success: true, deliveries: deliveries.map(formatDelivery) });
+});
+
+// Replay one failed delivery
+app.post('/deliveries/:id/replay', authenticate, requireAdmin, async (req, res) => {
+  const delivery = webhookOutbox.get(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+  if (delivery.state !== 'failed') {
+    return res.status(409).json({ success: false, error: `Delivery is ${delivery.state}` });
+  }
+
+  await webhookOutbox.replay(delivery.id);
+  res.json({ success: true, delivery: formatDelivery(delivery) });
+});
+
+// Replay every failed delivery (optionally only for one export)
+app.post('/deliveries/replay', authenticate, requireAdmin, async (req, res) => {
+  const failed = webhookOutbox.list({ state: 'failed', exportId: req.query.export_id, limit: Infinity });
+  for (const delivery of failed) {
+    await webhookOutbox.replay(delivery.id);
+  }
+
+  res.json({ success: true, replayed: failed.length });
+});
+
+// ============================================
+// LOCAL FILES (STORAGE_DRIVER=local)
+// ============================================
+
+/**
+ * Storage path of a /files URL (bucket/key, decoded), or null when it is not one
+ */
+const getLocalFileKey = (url) => {
+  if (!url.startsWith(`${LOCAL_STORAGE_PUBLIC_URL}/`)) return null;
+  try {
+    return decodeURIComponent(url.slice(LOCAL_STORAGE_PUBLIC_URL.length + 1));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Tenants only download the files of their own jobs (admins, and everyone while auth is off, get every file)
+const authorizeLocalFile = (req, res, next) => {
+  if (!req.tenant || req.tenant.admin) return next();
+
+  const key = getLocalFileKey(`${LOCAL_STORAGE_PUBLIC_URL}${req.path}`);
+  const owned = key && jobStore.list({ tenant: req.tenant.id, limit: Infinity })
+    .some(job => job.output && getOutputUrls(job.output).some(url => getLocalFileKey(url) === key));
+  if (!owned) {
+    return rejectRequest(res, 404, 'File not found');
+  }
+  next();
+};
+
+app.use('/files', authenticate, authorizeLocalFile, express.static(LOCAL_STORAGE_DIR));
+
+// ============================================
+// USAGE ENDPOINT
+// ============================================
+
+// Usage counters of the calling tenant (admins: every tenant, or ?tenant=)
+app.get('/usage', authenticate, (req, res) => {
+  if (!req.tenant) {
+    return res.status(404).json({ success: false, error: 'No tenants are configured' });
+  }
+
+  let listed = [req.tenant];
+  if (req.tenant.admin) {
+    listed = req.query.tenant ? [tenants.get(req.query.tenant)].filter(Boolean) : [...tenants.values()];
+  }
+
+  res.json({ success: true, usage: listed.map(getTenantUsage) });
 });
 
 // ============================================
@@ -687,6 +4906,8 @@ app.get('/status', (req, res) => {
   
   res.json({
     queue: status,
+    cache: imageCache.getStatus(),
+    webhooks: webhookOutbox.getStatus(),
     memory: {
       heapUsed: `${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`,
       heapTotal: `${(memUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`,
@@ -695,6 +4916,37 @@ app.get('/status', (req, res) => {
   });
 });
 
+// ============================================
+// METRICS ENDPOINT
+// ============================================
+// Service-wide figures, so scrapers authenticate as an admin tenant
+app.get('/metrics', authenticate, requireAdmin, (req, res) => {
+  const queue = exportQueue.getStatus();
+  const cache = imageCache.getStatus();
+  const memUsage = process.memoryUsage();
+  const cacheSamples = (counters, result) => Object.entries(counters).map(([kind, value]) => [{ kind, result }, value]);
+
+  const sections = [
+    ...Object.values(metrics).map(metric => metric.render()),
+    renderSamples('export_queue_jobs', 'Jobs waiting or running by priority',
+      Object.entries(queue.byPriority).flatMap(([priority, counts]) => [
+        [{ priority, state: 'queued' }, counts.queued],
+        [{ priority, state: 'running' }, counts.running]
+      ])),
+    renderSamples('export_queue_slots', 'Concurrency slots in use and available',
+      [[{ type: 'in_use' }, queue.slotsInUse], [{ type: 'max' }, queue.maxConcurrent]]),
+    renderSamples('export_webhook_deliveries', 'Webhook deliveries in the outbox by state',
+      Object.entries(webhookOutbox.getStatus()).map(([state, count]) => [{ state }, count])),
+    renderSamples('export_image_cache_bytes', 'Bytes held by the image cache', [[{}, imageCache.totalBytes]]),
+    renderSamples('export_image_cache_lookups_total', 'Image cache lookups by kind and result',
+      [...cacheSamples(cache.hits, 'hit'), ...cacheSamples(cache.misses, 'miss')], 'counter'),
+    renderSamples('process_resident_memory_bytes', 'Resident memory size in bytes', [[{}, memUsage.rss]]),
+    renderSamples('nodejs_heap_used_bytes', 'V8 heap used in bytes', [[{}, memUsage.heapUsed]])
+  ];
+
+  res.type('text/plain; version=0.0.4').send(`${sections.join('\n')}\n`);
+});
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -705,8 +4957,67 @@ app.get('/health', (req, res) => {
 // ============================================
 // START SERVER
 // ============================================
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Export service running on port ${PORT}`);
   console.log(`📊 Max concurrent exports: ${exportQueue.maxConcurrent}`);
-  console.log(`☁️ All files uploaded to Supabase`);
+  console.log(`☁️ Default storage driver: ${DEFAULT_STORAGE_DRIVER}`);
+  if (!WEBHOOK_SECRET) {
+    console.warn('⚠️ WEBHOOK_SECRET is not set - status updates and callbacks are sent unsigned');
+  }
+  if (authEnabled) {
+    console.log(`🔑 API authentication on for ${tenants.size} tenant(s)`);
+  } else {
+    console.warn('⚠️ TENANTS_FILE is not set - the API accepts requests without authentication');
+  }
+  if (ALLOW_PRIVATE_URLS) {
+    console.warn('⚠️ ALLOW_PRIVATE_URLS is set - request URLs may reach private and loopback addresses');
+  }
+  resumeJobs();
+});
+
+// ============================================
+// GRACEFUL SHUTDOWN
+// ============================================
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+
+/**
+ * Hand jobs over to the next process like any other state change: events, metrics and
+ * status webhook/callback (stored in the outbox before this process exits)
+ */
+const markRequeued = (ids) => {
+  for (const id of ids) {
+    const job = jobStore.update(id, { state: 'requeued', started_at: null, progress: { done: 0, total: 0 }, phase: null });
+    if (job) {
+      notifyJobStatus(job, 'requeued').catch(() => {});
+    }
+  }
+};
+
+process.on('SIGTERM', async () => {
+  if (!acceptingJobs) return;
+  acceptingJobs = false;
+
+  // Waiting jobs are kept in the store and picked up by the next process
+  const waitingIds = exportQueue.pauseAndDrain();
+  markRequeued(waitingIds);
+  console.log(`🛑 SIGTERM: requeued ${waitingIds.length} waiting export(s), waiting for ${exportQueue.running} running`);
+
+  // Let running jobs finish until the deadline
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (exportQueue.running > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  const unfinishedIds = jobStore.list({ state: 'running', limit: Infinity }).map(job => job.id);
+  if (unfinishedIds.length > 0) {
+    markRequeued(unfinishedIds);
+    console.log(`⏱️ Shutdown deadline reached: requeued ${unfinishedIds.length} running export(s)`);
+  }
+
+  jobStore.save();
+  webhookOutbox.save();
+  usageStore.save();
+  server.close(() => process.exit(0));
+  // Don't let open keep-alive connections hold the process
+  setTimeout(() => process.exit(0), 2000).unref();
 });